@@ -0,0 +1,299 @@
+/**
+ * foundry-discord-ducker Calibration
+ *
+ * Window for tuning the ducking with a live preview, test buttons and a
+ * conversation simulator.
+ *
+ * @module foundry-discord-ducker/calibration
+ */
+
+import { MODULE_ID } from "./constants.js";
+import {
+  getSetting,
+  isDucked,
+  duckRequests,
+  RELAYED_MESSAGE_TYPES,
+  reapplyVoiceDuck,
+  clearVoiceActivity,
+  updateDuck,
+  setDuckRequest,
+} from "./foundry-discord-ducker.js";
+import { handleMessage } from "./sources.js";
+import { diagnosticEvents, recordEvent } from "./diagnostics.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// STATE
+// ============================================================================
+export let previewSettings = null; // Unsaved settings heard while the calibration window is open
+let simulation = null; // { timeouts } while the calibration simulator plays
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+/**
+ * Settings the calibration window previews
+ */
+export const CALIBRATION_KEYS = [
+  "duckReductionPercent",
+  "ambientReductionPercent",
+  "interfaceReductionPercent",
+  "duckMode",
+  "maxReductionPercent",
+  "speakersForMaxDuck",
+  "duckDurationMs",
+  "attackCurve",
+  "unduckDelayMs",
+  "unduckDurationMs",
+  "releaseCurve",
+];
+
+/**
+ * Voice activity from the simulator is tracked like any other source
+ */
+export const SIMULATOR_SOURCE_ID = "simulator";
+const SIMULATOR_LEAD_IN_MS = 500; // Pause before a timeline starts
+const SIMULATOR_MAX_RECORDING_MS = 60000; // Longest stretch replayed from the event log
+
+/**
+ * Canned conversations: [time in ms, number of people speaking]
+ */
+const SIMULATOR_TIMELINES = {
+  sentence: {
+    label: "DISCORD_DUCKER.Timelines.sentence",
+    steps: [[0, 1], [3000, 0]],
+  },
+  conversation: {
+    label: "DISCORD_DUCKER.Timelines.conversation",
+    steps: [[0, 1], [2500, 0], [2900, 1], [4700, 0], [5100, 1], [6500, 0], [6800, 1], [9000, 0]],
+  },
+  crosstalk: {
+    label: "DISCORD_DUCKER.Timelines.crosstalk",
+    steps: [[0, 1], [1000, 2], [2000, 3], [3000, 4], [4500, 2], [5500, 1], [6500, 0]],
+  },
+  interjections: {
+    label: "DISCORD_DUCKER.Timelines.interjections",
+    steps: [[0, 1], [300, 0], [1100, 1], [1400, 0], [2200, 1], [2500, 0]],
+  },
+};
+
+/**
+ * Timeline choices for the simulator, including a replay of recent real activity
+ */
+function getTimelineChoices() {
+  const choices = Object.fromEntries(
+    Object.entries(SIMULATOR_TIMELINES).map(([key, { label }]) => [key, label])
+  );
+  if (getRecordedTimeline()) choices.recorded = "DISCORD_DUCKER.Timelines.recorded";
+  return choices;
+}
+
+/**
+ * Messages to replay for a timeline
+ * @param {string} key A SIMULATOR_TIMELINES key or "recorded"
+ * @returns {Array<{at: number, message: object}>|null}
+ */
+function getSimulatorTimeline(key) {
+  if (key === "recorded") return getRecordedTimeline();
+  const timeline = SIMULATOR_TIMELINES[key];
+  if (!timeline) return null;
+  return timeline.steps.map(([at, speakerCount]) => ({
+    at: at + SIMULATOR_LEAD_IN_MS,
+    message: speakerCount ? { type: "DUCK", speakerCount } : { type: "UNDUCK" },
+  }));
+}
+
+/**
+ * The latest stretch of real voice activity in the diagnostics buffer
+ */
+function getRecordedTimeline() {
+  const events = diagnosticEvents.filter(
+    (event) =>
+      (event.category === "received" || event.category === "relayed") &&
+      RELAYED_MESSAGE_TYPES.has(event.message?.type)
+  );
+  if (!events.length) return null;
+
+  const end = events.at(-1).time;
+  const recent = events.filter((event) => event.time >= end - SIMULATOR_MAX_RECORDING_MS);
+  const start = recent[0].time;
+  const timeline = recent.map((event) => ({
+    at: event.time - start + SIMULATOR_LEAD_IN_MS,
+    message: event.message,
+  }));
+
+  // Never leave the simulated speakers talking
+  if (timeline.at(-1).message.type !== "UNDUCK") {
+    timeline.push({ at: timeline.at(-1).at + 1000, message: { type: "UNDUCK" } });
+  }
+  return timeline;
+}
+
+/**
+ * Replay a timeline through the normal message handling, so speaker rules,
+ * graduated ducking and the envelope all apply
+ * @param {Array<{at: number, message: object}>} timeline
+ * @param {Function} [onEnd]
+ */
+function playSimulation(timeline, onEnd) {
+  stopSimulation();
+  const duration = Math.max(...timeline.map(({ at }) => at));
+  const timeouts = timeline.map(({ at, message }) =>
+    setTimeout(() => handleMessage(message, SIMULATOR_SOURCE_ID, null), at)
+  );
+  timeouts.push(
+    setTimeout(() => {
+      stopSimulation();
+      onEnd?.();
+    }, duration + 50)
+  );
+  simulation = { timeouts };
+  recordEvent("simulation", { playing: true, steps: timeline.length });
+}
+
+function stopSimulation() {
+  if (!simulation) return;
+  for (const timeout of simulation.timeouts) clearTimeout(timeout);
+  simulation = null;
+  recordEvent("simulation", { playing: false });
+  clearVoiceActivity(SIMULATOR_SOURCE_ID);
+}
+
+/**
+ * Re-run the duck decision with the values being previewed
+ */
+function applyPreview() {
+  reapplyVoiceDuck();
+  if (isDucked) updateDuck();
+}
+
+/**
+ * Drop the preview and everything the calibration window started
+ */
+function endCalibration() {
+  stopSimulation();
+  previewSettings = null;
+  setDuckRequest("calibration", null);
+  applyPreview();
+}
+
+/**
+ * Window for tuning the duck by ear: settings are previewed live on the
+ * music that is playing, and only saved on Save
+ */
+export class CalibrationApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-calibration`,
+    tag: "form",
+    classes: [MODULE_ID],
+    window: {
+      title: "DISCORD_DUCKER.Calibration.Title",
+      icon: "fa-solid fa-sliders",
+      contentClasses: ["standard-form"],
+    },
+    position: { width: 560 },
+    form: {
+      handler: CalibrationApp.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      testDuck: CalibrationApp.#onTestDuck,
+      testUnduck: CalibrationApp.#onTestUnduck,
+      play: CalibrationApp.#onPlay,
+      stop: CalibrationApp.#onStop,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/calibration.hbs` },
+    footer: { template: "templates/generic/form-footer.hbs" },
+  };
+
+  #timeline = "conversation";
+
+  async _prepareContext(options) {
+    previewSettings ??= Object.fromEntries(
+      CALIBRATION_KEYS.map((key) => [key, game.settings.get(MODULE_ID, key)])
+    );
+    const fields = CALIBRATION_KEYS.map((key) => {
+      const { name, range, choices } = game.settings.settings.get(`${MODULE_ID}.${key}`);
+      return { key, name, range, choices, value: previewSettings[key] };
+    });
+
+    return {
+      fields,
+      musicPlaying: game.playlists.playing.length > 0,
+      enableDucking: getSetting("enableDucking"),
+      testDucked: duckRequests.has("calibration"),
+      timelines: getTimelineChoices(),
+      timeline: this.#timeline,
+      simulating: simulation !== null,
+      buttons: [
+        {
+          type: "submit",
+          icon: "fa-solid fa-save",
+          label: "DISCORD_DUCKER.Common.Save",
+        },
+      ],
+    };
+  }
+
+  /**
+   * Hear every change straight away
+   */
+  _onChangeForm(formConfig, event) {
+    super._onChangeForm(formConfig, event);
+    const data = new foundry.applications.ux.FormDataExtended(this.element).object;
+    for (const key of CALIBRATION_KEYS) {
+      if (!(key in data)) continue;
+      previewSettings[key] =
+        typeof previewSettings[key] === "number" ? Number(data[key]) : data[key];
+    }
+    if (data.timeline) this.#timeline = data.timeline;
+    applyPreview();
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    endCalibration();
+  }
+
+  static #onTestDuck() {
+    setDuckRequest("calibration", {});
+    this.render();
+  }
+
+  static #onTestUnduck() {
+    setDuckRequest("calibration", null);
+    this.render();
+  }
+
+  static #onPlay() {
+    const timeline = getSimulatorTimeline(this.#timeline);
+    if (!timeline) return;
+    playSimulation(timeline, () => {
+      if (this.rendered) this.render();
+    });
+    this.render();
+  }
+
+  static #onStop() {
+    stopSimulation();
+    this.render();
+  }
+
+  static async #onSubmit(event, form, formData) {
+    const values = previewSettings;
+    previewSettings = null;
+    for (const [key, value] of Object.entries(values)) {
+      if (game.settings.get(MODULE_ID, key) !== value) {
+        await game.settings.set(MODULE_ID, key, value);
+      }
+    }
+    ui.notifications.info("DISCORD_DUCKER.Notifications.CalibrationSaved", {
+      localize: true,
+    });
+  }
+}
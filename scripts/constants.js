@@ -0,0 +1,29 @@
+/**
+ * foundry-discord-ducker Constants
+ *
+ * Module ID and tuning shared by the module's scripts.
+ *
+ * @module foundry-discord-ducker/constants
+ */
+
+export const MODULE_ID = "foundry-discord-ducker";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+export const BACKOFF_BASE_MS = 1000; // First reconnect attempt after about 1 second
+export const BACKOFF_MAX_MS = 60000; // Never wait more than a minute between attempts
+export const HEARTBEAT_CHECK_INTERVAL_MS = 5000; // How often the heartbeat watchdog runs
+export const HANDSHAKE_TIMEOUT_MS = 5000; // Bots that don't answer HELLO by then are treated as legacy
+export const REAUTH_MARGIN_MS = 30000; // Re-authenticate this long before a token expires
+export const LATENCY_PROBE_INTERVAL_MS = 15000; // How often bots that support it are pinged for round-trip time
+export const DIAGNOSTICS_BUFFER_SIZE = 500; // Events kept for the diagnostics window
+export const LATENCY_SAMPLE_COUNT = 50; // Latency samples kept per measurement
+export const LONG_TALK_GAP_MS = 3000; // Pauses shorter than this don't end a long conversation
+export const LONG_TALK_FADE_MS = 3000; // Crossfade when pausing or swapping music, if the quiet playlist has no fade
+export const MUSIC_FADE_START_MS = 10000; // How long a track to fade in may take to load and start
+export const HTTP_POLL_INTERVAL_MS = 250; // How often HTTP endpoint sources are asked for activity
+export const HTTP_POLL_TIMEOUT_MS = 2000; // An HTTP endpoint slower than this counts as down
+export const LEVEL_SMOOTHING = 0.3; // How quickly reported speech loudness is followed (0-1)
+export const QUIET_SPEECH_FACTOR = 0.5; // Share of the reduction kept for near-silent speech
+export const LEVEL_DEADBAND = 0.02; // Ignore duck level changes smaller than this
@@ -0,0 +1,215 @@
+/**
+ * foundry-discord-ducker Diagnostics
+ *
+ * Event log, latency measurements and the window that shows and exports them.
+ *
+ * @module foundry-discord-ducker/diagnostics
+ */
+
+import {
+  MODULE_ID,
+  LATENCY_PROBE_INTERVAL_MS,
+  DIAGNOSTICS_BUFFER_SIZE,
+  LATENCY_SAMPLE_COUNT,
+} from "./constants.js";
+import { getDuckerState, formatLevels } from "./foundry-discord-ducker.js";
+import {
+  voiceSources,
+  getConnectionStateLabel,
+  redactToken,
+} from "./sources.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// STATE
+// ============================================================================
+export const diagnosticEvents = []; // Ring buffer of recent events, oldest first
+const speechToDuckSamples = []; // Milliseconds from voice activity arriving to the duck starting
+
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+/**
+ * Add an event to the ring buffer
+ * @param {string} category e.g. "received", "sent", "connection", "fade"
+ * @param {object} detail
+ */
+export function recordEvent(category, detail) {
+  diagnosticEvents.push({ time: Date.now(), category, ...detail });
+  if (diagnosticEvents.length > DIAGNOSTICS_BUFFER_SIZE) diagnosticEvents.shift();
+  refreshDiagnostics();
+}
+
+function pushSample(samples, value) {
+  samples.push(Math.round(value));
+  if (samples.length > LATENCY_SAMPLE_COUNT) samples.shift();
+}
+
+/**
+ * Summary of a list of millisecond samples
+ */
+function summarizeSamples(samples) {
+  if (!samples.length) return null;
+  return {
+    count: samples.length,
+    last: samples.at(-1),
+    min: Math.min(...samples),
+    avg: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+    max: Math.max(...samples),
+  };
+}
+
+export function recordSpeechToDuck(ms) {
+  pushSample(speechToDuckSamples, ms);
+  recordEvent("latency", { measure: "speechToDuck", ms: Math.round(ms) });
+}
+
+/**
+ * Ping a bot that announced the "latency" capability, to time round trips
+ */
+export function startLatencyProbe(source) {
+  stopLatencyProbe(source);
+  const probe = () => {
+    const id = foundry.utils.randomID(8);
+    source.pendingPings.set(id, performance.now());
+    source.send({ type: "PING", id, sentAt: Date.now() });
+  };
+  probe();
+  source.latencyInterval = setInterval(probe, LATENCY_PROBE_INTERVAL_MS);
+}
+
+export function stopLatencyProbe(source) {
+  if (source.latencyInterval) {
+    clearInterval(source.latencyInterval);
+    source.latencyInterval = null;
+  }
+  source.pendingPings.clear();
+}
+
+/**
+ * A bot answered one of our PINGs
+ */
+export function handleLatencyPong(source, message) {
+  const sentAt = source.pendingPings.get(message.id);
+  if (sentAt === undefined) return;
+  source.pendingPings.delete(message.id);
+
+  const rttMs = performance.now() - sentAt;
+  pushSample(source.rttSamples, rttMs);
+  recordEvent("latency", { source: source.id, measure: "rtt", ms: Math.round(rttMs) });
+}
+
+/**
+ * Everything a bug report needs, with tokens left out
+ */
+export function getDiagnosticsReport() {
+  const settings = {};
+  for (const setting of game.settings.settings.values()) {
+    if (setting.namespace !== MODULE_ID || setting.key === "authToken") continue;
+    settings[setting.key] = game.settings.get(MODULE_ID, setting.key);
+  }
+  settings.voiceSources = settings.voiceSources?.map(redactToken);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    module: game.modules.get(MODULE_ID).version,
+    foundry: game.version,
+    user: { name: game.user.name, isGM: game.user.isGM },
+    state: getDuckerState(),
+    latency: {
+      speechToDuck: summarizeSamples(speechToDuckSamples),
+      rtt: Object.fromEntries(
+        [...voiceSources.values()].map((source) => [
+          source.id,
+          summarizeSamples(source.rttSamples),
+        ])
+      ),
+    },
+    settings,
+    events: [...diagnosticEvents],
+  };
+}
+
+/**
+ * Window showing recent events and latency, with JSON export
+ */
+export class DiagnosticsApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-diagnostics`,
+    classes: [MODULE_ID],
+    window: {
+      title: "DISCORD_DUCKER.Diagnostics.Title",
+      icon: "fa-solid fa-stethoscope",
+      resizable: true,
+    },
+    position: { width: 720, height: 600 },
+    actions: {
+      export: DiagnosticsApp.#onExport,
+      clear: DiagnosticsApp.#onClear,
+    },
+  };
+
+  static PARTS = {
+    diagnostics: {
+      template: `modules/${MODULE_ID}/templates/diagnostics.hbs`,
+      scrollable: [".ducker-event-log"],
+    },
+  };
+
+  async _prepareContext(options) {
+    const state = getDuckerState();
+    return {
+      connection: getConnectionStateLabel(state.connection),
+      ducked: state.ducked,
+      levels: formatLevels(state.targetLevels),
+      reasons:
+        Object.keys(state.reasons).join(", ") ||
+        game.i18n.localize("DISCORD_DUCKER.Diagnostics.None"),
+      speechToDuck: summarizeSamples(speechToDuckSamples),
+      sources: [...voiceSources.values()].map((source) => ({
+        label: source.label,
+        state: source.state,
+        stateLabel: getConnectionStateLabel(source.state),
+        protocol: source.botInfo?.protocol ?? "—",
+        rtt: summarizeSamples(source.rttSamples),
+      })),
+      // Newest first
+      events: diagnosticEvents
+        .map(({ time, category, ...detail }) => ({
+          time: new Date(time).toLocaleTimeString(undefined, {
+            hour12: false,
+            fractionalSecondDigits: 3,
+          }),
+          category,
+          detail: JSON.stringify(detail),
+        }))
+        .reverse(),
+    };
+  }
+
+  static #onExport() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    foundry.utils.saveDataToFile(
+      JSON.stringify(getDiagnosticsReport(), null, 2),
+      "application/json",
+      `${MODULE_ID}-diagnostics-${stamp}.json`
+    );
+  }
+
+  static #onClear() {
+    diagnosticEvents.length = 0;
+    speechToDuckSamples.length = 0;
+    for (const source of voiceSources.values()) source.rttSamples.length = 0;
+    this.render();
+  }
+}
+
+/**
+ * Keep an open diagnostics window current without re-rendering per event
+ */
+const refreshDiagnostics = foundry.utils.debounce(() => {
+  const app = foundry.applications.instances.get(`${MODULE_ID}-diagnostics`);
+  if (app?.rendered) app.render();
+}, 500);
@@ -10,71 +10,186 @@
  * @author GnollStack
  */
 
-const MODULE_ID = "foundry-discord-ducker";
-
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-const RECONNECT_DELAY_MS = 5000; // Wait 5 seconds before reconnecting if connection drops
-
-// Helper function to get settings (only available after init)
-function getSetting(key) {
+import {
+  MODULE_ID,
+  LONG_TALK_GAP_MS,
+  LONG_TALK_FADE_MS,
+  MUSIC_FADE_START_MS,
+  LEVEL_SMOOTHING,
+  QUIET_SPEECH_FACTOR,
+  LEVEL_DEADBAND,
+} from "./constants.js";
+import {
+  voiceSources,
+  ConnectionState,
+  getConnectionStateLabel,
+  isConnectedState,
+  isBotConnected,
+  getStatusSources,
+  getConnectionState,
+  PRIMARY_SOURCE_ID,
+  updateConnectionRole,
+  restartConnection,
+  handleMessage,
+  VoiceSourceConfig,
+  refreshSourceStatus,
+} from "./sources.js";
+import {
+  placeStatusIndicator,
+  refreshStatusIndicator,
+  onRosterMessage,
+} from "./status-indicator.js";
+import {
+  previewSettings,
+  SIMULATOR_SOURCE_ID,
+  CalibrationApp,
+} from "./calibration.js";
+import { adoptTableDefault, PresetConfig } from "./presets.js";
+import {
+  recordEvent,
+  recordSpeechToDuck,
+  getDiagnosticsReport,
+  DiagnosticsApp,
+} from "./diagnostics.js";
+
+// Helper function to get settings (only available after init). Values being
+// previewed in the calibration window win over the saved ones.
+export function getSetting(key) {
+  if (previewSettings && key in previewSettings) return previewSettings[key];
   return game.settings.get(MODULE_ID, key);
 }
 
 // ============================================================================
 // SETTINGS REGISTRATION
 // ============================================================================
+// Every setting, menu and keybinding, in the order the settings window lists them
 Hooks.once("init", () => {
   game.settings.register(MODULE_ID, "enableDucking", {
-    name: "Enable Discord Ducking",
-    hint: "When enabled, your playlist volume will automatically lower when someone speaks in the connected Discord voice channel.",
+    name: "DISCORD_DUCKER.Settings.enableDucking.Name",
+    hint: "DISCORD_DUCKER.Settings.enableDucking.Hint",
     scope: "client",
     config: true,
     type: Boolean,
     default: true,
     onChange: (value) => {
-      if (value && !isConnected) {
-        connectToDiscordBot();
-      } else if (!value) {
-        // Restore volume if currently ducked
-        if (isDucked && originalVolume !== null) {
-          game.settings.set("core", "globalPlaylistVolume", originalVolume);
-          isDucked = false;
-          console.log(
-            `${MODULE_ID} | 🎚️ Ducking disabled, restored volume to ${(
-              originalVolume * 100
-            ).toFixed(0)}%`
-          );
-        }
-        if (websocket) {
-          websocket.close();
-        }
+      // Lift the voice duck if currently ducked
+      if (!value) {
+        clearVoiceActivity();
+        console.log(`${MODULE_ID} | 🎚️ Ducking disabled`);
       }
+      updateConnectionRole();
+    },
+  });
+
+  game.settings.register(MODULE_ID, "voiceSource", {
+    name: "DISCORD_DUCKER.Settings.voiceSource.Name",
+    hint: "DISCORD_DUCKER.Settings.voiceSource.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      discord: "DISCORD_DUCKER.Settings.voiceSource.Choices.discord",
+      "foundry-av": "DISCORD_DUCKER.Settings.voiceSource.Choices.foundry-av",
+      both: "DISCORD_DUCKER.Settings.voiceSource.Choices.both",
+    },
+    default: "discord",
+    onChange: () => {
+      reapplyVoiceDuck();
+      updateConnectionRole();
+    },
+  });
+
+  game.settings.register(MODULE_ID, "connectionMode", {
+    name: "DISCORD_DUCKER.Settings.connectionMode.Name",
+    hint: "DISCORD_DUCKER.Settings.connectionMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      direct: "DISCORD_DUCKER.Settings.connectionMode.Choices.direct",
+      relay: "DISCORD_DUCKER.Settings.connectionMode.Choices.relay",
+    },
+    default: "direct",
+    onChange: () => {
+      clearVoiceActivity();
+      updateConnectionRole();
     },
   });
 
   game.settings.register(MODULE_ID, "websocketUrl", {
-    name: "WebSocket URL",
-    hint: "The WebSocket server address where the Discord bot is running (e.g., ws://localhost:8080 or ws://192.168.1.100:8080).",
+    name: "DISCORD_DUCKER.Settings.websocketUrl.Name",
+    hint: "DISCORD_DUCKER.Settings.websocketUrl.Hint",
     scope: "client",
     config: true,
     type: String,
     default: "ws://localhost:8080",
+    onChange: () => updateConnectionRole(),
   });
 
   game.settings.register(MODULE_ID, "authToken", {
-    name: "Authentication Token",
-    hint: "The secret token to authenticate with the Discord bot. Get this from your GM.",
+    name: "DISCORD_DUCKER.Settings.authToken.Name",
+    hint: "DISCORD_DUCKER.Settings.authToken.Hint",
     scope: "client",
     config: true,
     type: String,
     default: "",
+    onChange: () => updateConnectionRole(),
+  });
+
+  game.settings.register(MODULE_ID, "legacyTokenInUrl", {
+    name: "DISCORD_DUCKER.Settings.legacyTokenInUrl.Name",
+    hint: "DISCORD_DUCKER.Settings.legacyTokenInUrl.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: () => updateConnectionRole(),
+  });
+
+  game.settings.register(MODULE_ID, "voiceSources", {
+    scope: "client",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => updateConnectionRole(),
+  });
+
+  game.settings.registerMenu(MODULE_ID, "voiceSourceMenu", {
+    name: "DISCORD_DUCKER.Settings.voiceSourceMenu.Name",
+    label: "DISCORD_DUCKER.Settings.voiceSourceMenu.Label",
+    hint: "DISCORD_DUCKER.Settings.voiceSourceMenu.Hint",
+    icon: "fa-solid fa-tower-broadcast",
+    type: VoiceSourceConfig,
+    restricted: false,
+  });
+
+  game.settings.register(MODULE_ID, "heartbeatTimeoutSec", {
+    name: "DISCORD_DUCKER.Settings.heartbeatTimeoutSec.Name",
+    hint: "DISCORD_DUCKER.Settings.heartbeatTimeoutSec.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 60,
+    range: {
+      min: 0,
+      max: 300,
+      step: 5,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "duckPlaylist", {
+    name: "DISCORD_DUCKER.Settings.duckPlaylist.Name",
+    hint: "DISCORD_DUCKER.Settings.duckPlaylist.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: () => reapplyVoiceDuck(),
   });
 
   game.settings.register(MODULE_ID, "duckReductionPercent", {
-    name: "Volume Reduction (%)",
-    hint: "How much to reduce your volume by when someone is speaking. 20% means your volume drops by 20% (e.g., 100% → 80%, 50% → 40%).",
+    name: "DISCORD_DUCKER.Settings.duckReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.duckReductionPercent.Hint",
     scope: "client",
     config: true,
     type: Number,
@@ -84,29 +199,110 @@ Hooks.once("init", () => {
       max: 100,
       step: 5,
     },
+    onChange: () => reapplyVoiceDuck(),
   });
 
-  game.settings.register(MODULE_ID, "duckDurationMs", {
-    name: "Duck Fade Duration (ms)",
-    hint: "How quickly the volume fades down when ducking begins. Lower = faster.",
+  game.settings.register(MODULE_ID, "duckAmbient", {
+    name: "DISCORD_DUCKER.Settings.duckAmbient.Name",
+    hint: "DISCORD_DUCKER.Settings.duckAmbient.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: () => reapplyVoiceDuck(),
+  });
+
+  game.settings.register(MODULE_ID, "ambientReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.ambientReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.ambientReductionPercent.Hint",
     scope: "client",
     config: true,
     type: Number,
-    default: 500,
+    default: 30,
     range: {
-      min: 100,
-      max: 5000,
-      step: 100,
+      min: 5,
+      max: 100,
+      step: 5,
     },
+    onChange: () => reapplyVoiceDuck(),
   });
 
-  game.settings.register(MODULE_ID, "unduckDurationMs", {
-    name: "Unduck Fade Duration (ms)",
-    hint: "How quickly the volume fades back up after speaking stops. Lower = faster.",
+  game.settings.register(MODULE_ID, "duckInterface", {
+    name: "DISCORD_DUCKER.Settings.duckInterface.Name",
+    hint: "DISCORD_DUCKER.Settings.duckInterface.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => reapplyVoiceDuck(),
+  });
+
+  game.settings.register(MODULE_ID, "interfaceReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.interfaceReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.interfaceReductionPercent.Hint",
     scope: "client",
     config: true,
     type: Number,
-    default: 1200,
+    default: 30,
+    range: {
+      min: 5,
+      max: 100,
+      step: 5,
+    },
+    onChange: () => reapplyVoiceDuck(),
+  });
+
+  game.settings.register(MODULE_ID, "duckMode", {
+    name: "DISCORD_DUCKER.Settings.duckMode.Name",
+    hint: "DISCORD_DUCKER.Settings.duckMode.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      fixed: "DISCORD_DUCKER.Settings.duckMode.Choices.fixed",
+      graduated: "DISCORD_DUCKER.Settings.duckMode.Choices.graduated",
+    },
+    default: "fixed",
+    onChange: () => reapplyVoiceDuck(),
+  });
+
+  game.settings.register(MODULE_ID, "maxReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.maxReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.maxReductionPercent.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 70,
+    range: {
+      min: 5,
+      max: 100,
+      step: 5,
+    },
+    onChange: () => reapplyVoiceDuck(),
+  });
+
+  game.settings.register(MODULE_ID, "speakersForMaxDuck", {
+    name: "DISCORD_DUCKER.Settings.speakersForMaxDuck.Name",
+    hint: "DISCORD_DUCKER.Settings.speakersForMaxDuck.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 4,
+    range: {
+      min: 2,
+      max: 10,
+      step: 1,
+    },
+    onChange: () => reapplyVoiceDuck(),
+  });
+
+  game.settings.register(MODULE_ID, "duckDurationMs", {
+    name: "DISCORD_DUCKER.Settings.duckDurationMs.Name",
+    hint: "DISCORD_DUCKER.Settings.duckDurationMs.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 500,
     range: {
       min: 100,
       max: 5000,
@@ -114,9 +310,19 @@ Hooks.once("init", () => {
     },
   });
 
+  game.settings.register(MODULE_ID, "attackCurve", {
+    name: "DISCORD_DUCKER.Settings.attackCurve.Name",
+    hint: "DISCORD_DUCKER.Settings.attackCurve.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: getCurveChoices(),
+    default: "exponential",
+  });
+
   game.settings.register(MODULE_ID, "unduckDelayMs", {
-    name: "Unduck Delay (ms)",
-    hint: "How long to wait after speaking stops before volume starts fading back up. Useful to prevent volume bouncing during conversation pauses.",
+    name: "DISCORD_DUCKER.Settings.unduckDelayMs.Name",
+    hint: "DISCORD_DUCKER.Settings.unduckDelayMs.Hint",
     scope: "client",
     config: true,
     type: Number,
@@ -128,9 +334,33 @@ Hooks.once("init", () => {
     },
   });
 
+  game.settings.register(MODULE_ID, "unduckDurationMs", {
+    name: "DISCORD_DUCKER.Settings.unduckDurationMs.Name",
+    hint: "DISCORD_DUCKER.Settings.unduckDurationMs.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 1200,
+    range: {
+      min: 100,
+      max: 5000,
+      step: 100,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "releaseCurve", {
+    name: "DISCORD_DUCKER.Settings.releaseCurve.Name",
+    hint: "DISCORD_DUCKER.Settings.releaseCurve.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: getCurveChoices(),
+    default: "exponential",
+  });
+
   game.settings.register(MODULE_ID, "volumeDuckingFps", {
-    name: "Volume Ducking FPS",
-    hint: "How many times per second to update the volume slider during ducking. Higher = smoother visual feedback, but more CPU usage. Audio fading is always smooth regardless of this setting.",
+    name: "DISCORD_DUCKER.Settings.volumeDuckingFps.Name",
+    hint: "DISCORD_DUCKER.Settings.volumeDuckingFps.Hint",
     scope: "client",
     config: true,
     type: Number,
@@ -142,460 +372,2944 @@ Hooks.once("init", () => {
     },
   });
 
-  game.settings.register(MODULE_ID, "debugLogging", {
-    name: "Enable Debug Logging",
-    hint: "Show detailed console logs for troubleshooting. Also shows notifications when volume baseline changes.",
-    scope: "client",
-    config: true,
-    type: Boolean,
-    default: false,
-  });
-});
+  game.settings.register(MODULE_ID, "ignoreOwnVoice", {
+    name: "DISCORD_DUCKER.Settings.ignoreOwnVoice.Name",
+    hint: "DISCORD_DUCKER.Settings.ignoreOwnVoice.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "ignoreBots", {
+    name: "DISCORD_DUCKER.Settings.ignoreBots.Name",
+    hint: "DISCORD_DUCKER.Settings.ignoreBots.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "gmReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.gmReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.gmReductionPercent.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 0,
+    range: {
+      min: 0,
+      max: 100,
+      step: 5,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "speakerMappings", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.registerMenu(MODULE_ID, "speakerMappingMenu", {
+    name: "DISCORD_DUCKER.Settings.speakerMappingMenu.Name",
+    label: "DISCORD_DUCKER.Settings.speakerMappingMenu.Label",
+    hint: "DISCORD_DUCKER.Settings.speakerMappingMenu.Hint",
+    icon: "fa-solid fa-headset",
+    type: SpeakerMappingConfig,
+    restricted: true,
+  });
+
+  game.settings.register(MODULE_ID, "narrationReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.narrationReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.narrationReductionPercent.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 60,
+    range: {
+      min: 5,
+      max: 100,
+      step: 5,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "stingerReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.stingerReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.stingerReductionPercent.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 80,
+    range: {
+      min: 5,
+      max: 100,
+      step: 5,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "longTalkMode", {
+    name: "DISCORD_DUCKER.Settings.longTalkMode.Name",
+    hint: "DISCORD_DUCKER.Settings.longTalkMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "DISCORD_DUCKER.Settings.longTalkMode.Choices.off",
+      deeper: "DISCORD_DUCKER.Settings.longTalkMode.Choices.deeper",
+      pause: "DISCORD_DUCKER.Settings.longTalkMode.Choices.pause",
+      swap: "DISCORD_DUCKER.Settings.longTalkMode.Choices.swap",
+    },
+    default: "off",
+    onChange: () => {
+      endConversation();
+      updateConnectionRole();
+    },
+  });
+
+  game.settings.register(MODULE_ID, "longTalkSeconds", {
+    name: "DISCORD_DUCKER.Settings.longTalkSeconds.Name",
+    hint: "DISCORD_DUCKER.Settings.longTalkSeconds.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 60,
+    range: {
+      min: 10,
+      max: 600,
+      step: 10,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "longTalkReductionPercent", {
+    name: "DISCORD_DUCKER.Settings.longTalkReductionPercent.Name",
+    hint: "DISCORD_DUCKER.Settings.longTalkReductionPercent.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 85,
+    range: {
+      min: 5,
+      max: 100,
+      step: 5,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "longTalkPlaylist", {
+    name: "DISCORD_DUCKER.Settings.longTalkPlaylist.Name",
+    hint: "DISCORD_DUCKER.Settings.longTalkPlaylist.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+  });
+
+  game.settings.register(MODULE_ID, "suspendMinutes", {
+    name: "DISCORD_DUCKER.Settings.suspendMinutes.Name",
+    hint: "DISCORD_DUCKER.Settings.suspendMinutes.Hint",
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 10,
+    range: {
+      min: 1,
+      max: 60,
+      step: 1,
+    },
+  });
+
+  game.settings.register(MODULE_ID, "statusIndicator", {
+    name: "DISCORD_DUCKER.Settings.statusIndicator.Name",
+    hint: "DISCORD_DUCKER.Settings.statusIndicator.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      players: "DISCORD_DUCKER.Settings.statusIndicator.Choices.players",
+      playlists: "DISCORD_DUCKER.Settings.statusIndicator.Choices.playlists",
+      off: "DISCORD_DUCKER.Settings.statusIndicator.Choices.off",
+    },
+    default: "players",
+    onChange: () => placeStatusIndicator(),
+  });
+
+  game.settings.registerMenu(MODULE_ID, "calibrationMenu", {
+    name: "DISCORD_DUCKER.Settings.calibrationMenu.Name",
+    label: "DISCORD_DUCKER.Settings.calibrationMenu.Label",
+    hint: "DISCORD_DUCKER.Settings.calibrationMenu.Hint",
+    icon: "fa-solid fa-sliders",
+    type: CalibrationApp,
+    restricted: false,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "presetMenu", {
+    name: "DISCORD_DUCKER.Settings.presetMenu.Name",
+    label: "DISCORD_DUCKER.Settings.presetMenu.Label",
+    hint: "DISCORD_DUCKER.Settings.presetMenu.Hint",
+    icon: "fa-solid fa-sliders",
+    type: PresetConfig,
+    restricted: false,
+  });
+
+  game.settings.register(MODULE_ID, "customPresets", {
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.register(MODULE_ID, "tableDefaultPreset", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => adoptTableDefault(),
+  });
+
+  // Whether this client still takes its tuning from the table default
+  game.settings.register(MODULE_ID, "followTableDefault", {
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: true,
+  });
+
+  // ID of the preset last applied, until a setting is changed by hand
+  game.settings.register(MODULE_ID, "activePreset", {
+    scope: "client",
+    config: false,
+    type: String,
+    default: "",
+  });
+
+  game.settings.registerMenu(MODULE_ID, "diagnosticsMenu", {
+    name: "DISCORD_DUCKER.Settings.diagnosticsMenu.Name",
+    label: "DISCORD_DUCKER.Settings.diagnosticsMenu.Label",
+    hint: "DISCORD_DUCKER.Settings.diagnosticsMenu.Hint",
+    icon: "fa-solid fa-stethoscope",
+    type: DiagnosticsApp,
+    restricted: false,
+  });
+
+  game.settings.register(MODULE_ID, "debugLogging", {
+    name: "DISCORD_DUCKER.Settings.debugLogging.Name",
+    hint: "DISCORD_DUCKER.Settings.debugLogging.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.keybindings.register(MODULE_ID, "pushToDuck", {
+    name: "DISCORD_DUCKER.Keybindings.pushToDuck.Name",
+    hint: "DISCORD_DUCKER.Keybindings.pushToDuck.Hint",
+    editable: [],
+    onDown: () => {
+      if (pushToDuckHeld) return true;
+      pushToDuckHeld = true;
+      requestDuck("keybind");
+      return true;
+    },
+    onUp: () => {
+      if (!pushToDuckHeld) return true;
+      pushToDuckHeld = false;
+      releaseDuck("keybind");
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+  });
+
+  game.keybindings.register(MODULE_ID, "toggleMute", {
+    name: "DISCORD_DUCKER.Keybindings.toggleMute.Name",
+    hint: "DISCORD_DUCKER.Keybindings.toggleMute.Hint",
+    editable: [],
+    onDown: () => {
+      setMusicMuted(!musicMuted);
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+  });
+
+  game.keybindings.register(MODULE_ID, "toggleSuspend", {
+    name: "DISCORD_DUCKER.Keybindings.toggleSuspend.Name",
+    hint: "DISCORD_DUCKER.Keybindings.toggleSuspend.Hint",
+    editable: [],
+    onDown: () => {
+      if (suspendedUntil) resumeAutoDucking();
+      else suspendAutoDucking();
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+  });
+
+  game.modules.get(MODULE_ID).api = api;
+});
+
+// ============================================================================
+// HANDLE NEW SOUNDS STARTING WHILE DUCKED
+// ============================================================================
+Hooks.on("playSound", (sound) => {
+  // Narration and stingers duck everything else while they play
+  const kind = getSoundPriority(sound);
+  if (kind) startPriorityDuck(sound, kind);
+
+  // Sounds routed through the duck bus are already ducked by it. Priority
+  // sounds are about to be routed around it.
+  if (isRoutedThroughDuckBus(sound) && !kind) return;
+
+  if (sound.gain) startDuckingSound(sound);
+  else sound.addEventListener?.("play", () => startDuckingSound(sound), { once: true });
+});
+
+// ============================================================================
+// STATE
+// ============================================================================
+export let relayedSources = []; // { id, type, label, state } of the GM's sources, in GM Relay mode
+export const sourceActivity = new Map(); // Source ID -> { speakers, speakerCount, tableSpeakerCount, level }
+export let isDucked = false;
+export let duckLevels = { music: 1, environment: 1, interface: 1 }; // Target duck level per channel (1 = not ducked)
+let currentFade = null; // Track active fade animation
+const duckBus = new Map(); // Channel key -> { context, gain, bypass }
+const bypassedSounds = new WeakMap(); // Priority sound routed around the duck bus -> { bus, onStop }
+const soundVolumes = new WeakMap(); // Sound outside the duck bus -> volume it started at, before ducking
+const prioritySounds = new Map(); // Narration/stinger sound playing -> { reason, timeout, onPlay, onStop }
+const avSpeakingUserIds = new Set(); // Foundry A/V users currently speaking
+const heardSpeakers = new Map(); // Discord ID -> name, for the mapping form
+export const duckRequests = new Map(); // Reason -> { count, reductionPercent, levels }
+export let musicMuted = false;
+export let suspendedUntil = null; // Date.now() timestamp when auto-ducking resumes
+let suspendTimeout = null;
+let pushToDuckHeld = false;
+let activeProfile = null; // Ducking profile of the current scene or track
+const lastRelayedMessages = new Map(); // Source ID -> latest voice activity sent to players, for late joiners
+let lastRelayProblem = null; // Why the GM relay couldn't reach this player when last checked
+let speechStartedAt = null; // performance.now() when the activity that is starting a duck arrived
+let voiceWasActive = false;
+let conversationTimeout = null; // Fires once speech has gone on long enough
+let conversationGapTimeout = null; // Ends the conversation after a long enough pause
+let longTalk = null; // { mode, pausedSounds, quietPlaylistId } while escalated
+const discordDuckRequests = new Map(); // Reason -> REQUEST_DUCK message, resent after reconnects
+let lastNowPlaying = []; // Tracks last reported to the bots
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+Hooks.once("ready", () => {
+  console.log(`${MODULE_ID} | 🎵 Foundry Discord Ducker initializing...`);
+
+  // Audio contexts only exist once the browser allows playback
+  game.audio.unlock.then(() => {
+    if (installDuckBus()) {
+      updateVolumeIndicators(getCurrentDuckLevels());
+    } else {
+      console.warn(
+        `${MODULE_ID} | ⚠️ Duck bus unavailable, falling back to per-sound fades`
+      );
+    }
+  });
+
+  // Listen for ducking relayed by the GM
+  game.socket.on(SOCKET_NAME, onSocketMessage);
+
+  // Foundry's own A/V chat can drive ducking without any bot
+  if (!installFoundryAvListener() && usesFoundryAvSource()) {
+    console.warn(
+      `${MODULE_ID} | ⚠️ Foundry A/V is not available, can't listen for speech there`
+    );
+  }
+
+  if (!usesDiscordSource() && !isRelayClient()) {
+    console.log(
+      `${MODULE_ID} | 🎙️ Using Foundry A/V only, skipping voice source connections`
+    );
+    return;
+  }
+
+  if (isRelayMode() && !isRelayClient()) {
+    console.log(
+      `${MODULE_ID} | 📡 GM Relay mode, waiting for ducking from the GM`
+    );
+    return;
+  }
+
+  // Check if user has ducking enabled
+  const duckingEnabled = game.settings.get(MODULE_ID, "enableDucking");
+  if (!duckingEnabled && !isRelayClient()) {
+    console.log(
+      `${MODULE_ID} | ⭕ Ducking disabled in settings, skipping voice source connections`
+    );
+    return;
+  }
+
+  // Connect to every configured voice source
+  updateConnectionRole();
+});
+
+// ============================================================================
+// SESSION PERSISTENCE
+// ============================================================================
+const SESSION_STORAGE_KEY = `${MODULE_ID}.session`;
+
+/**
+ * Read what the previous session left in client storage
+ * @returns {{longTalk: object|null, savedAt: number}|null}
+ */
+function readSessionRecord() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Merge changes into the stored session record
+ */
+function saveSessionRecord(changes) {
+  // Older versions also kept volume baselines and a ducked flag here
+  const { baselines, ducked, ...previous } = readSessionRecord() ?? {};
+  const record = {
+    ...previous,
+    ...changes,
+    savedAt: Date.now(),
+  };
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(record));
+  } catch (err) {
+    console.warn(`${MODULE_ID} | ⚠️ Could not save session state:`, err);
+  }
+}
+
+// ============================================================================
+// GM RELAY
+// ============================================================================
+export const SOCKET_NAME = `module.${MODULE_ID}`;
+export const RELAYED_MESSAGE_TYPES = new Set(["DUCK", "UNDUCK", "LEVEL"]);
+
+export function isRelayMode() {
+  return getSetting("connectionMode") === "relay";
+}
+
+/**
+ * Whether this client is the one talking to the bot on everyone's behalf.
+ * `game.users.activeGM` prefers full GMs over assistants, so the role fails
+ * over automatically when the relaying GM leaves.
+ */
+export function isRelayClient() {
+  return isRelayMode() && game.users.activeGM?.isSelf === true;
+}
+
+/**
+ * Forward voice activity from a source to every player
+ */
+/**
+ * Why voice activity can't reach this player in GM Relay mode
+ * @returns {"NoGm"|"Down"|null} No GM is online, or the GM has no connected
+ *   voice source; null if the relay works or isn't used
+ */
+export function getRelayProblem() {
+  if (!isRelayMode() || isRelayClient() || !usesDiscordSource()) return null;
+  if (!game.users.activeGM) return "NoGm";
+  if (!relayedSources.some((source) => isConnectedState(source.state))) return "Down";
+  return null;
+}
+
+/**
+ * Tell a player when the relay they depend on stops working, and why. The
+ * status indicator shows the problem for as long as it lasts.
+ * @param {object} [options]
+ * @param {boolean} [options.notify] Whether a new problem gets a notification
+ */
+function updateRelayProblem({ notify = true } = {}) {
+  const problem = getRelayProblem();
+  if (problem === lastRelayProblem) return;
+  const previous = lastRelayProblem;
+  lastRelayProblem = problem;
+  refreshStatusIndicator();
+  if (!problem) return;
+
+  console.warn(`${MODULE_ID} | 📡 GM relay unavailable: ${problem}`);
+  if (notify && !previous) {
+    ui.notifications.warn(`DISCORD_DUCKER.Notifications.Relay${problem}`, {
+      localize: true,
+    });
+  }
+}
+
+export function relayBotMessage(message, sourceId) {
+  if (!isRelayClient() || !RELAYED_MESSAGE_TYPES.has(message.type)) return;
+  lastRelayedMessages.set(sourceId, message);
+  game.socket.emit(SOCKET_NAME, {
+    action: "botMessage",
+    sourceId,
+    message,
+  });
+}
+
+/**
+ * Tell players which of the relay's sources are connected
+ * @param {string[]} [userIds] Only send to these users
+ */
+export function broadcastRelayStatus(userIds) {
+  if (!isRelayClient()) return;
+  game.socket.emit(SOCKET_NAME, {
+    action: "relayStatus",
+    connected: isBotConnected(),
+    sources: [...voiceSources.values()].map((source) => ({
+      id: source.id,
+      type: source.type,
+      label: source.label,
+      state: source.state,
+    })),
+    userIds,
+  });
+}
+
+/**
+ * Handle a message from another client
+ * @param {object} data
+ * @param {string} senderId The sending user, as reported by the server. The
+ *   payload itself is never trusted to say who sent it.
+ */
+function onSocketMessage(data, senderId) {
+  if (data.action === "clientStatus" || data.action === "requestStatus") {
+    onRosterMessage(data, senderId);
+    return;
+  }
+  if (data.action === "command") {
+    onCommandMessage(data, senderId).catch(reportCommandError);
+    return;
+  }
+  if (data.action === "musicFade") {
+    // Only the active GM pauses and swaps the music
+    if (senderId === game.users.activeGM?.id) applyMusicFade(data);
+    return;
+  }
+  if (!isRelayMode() || isRelayClient()) return;
+
+  // Only trust the GM currently acting as relay
+  if (senderId !== game.users.activeGM?.id) return;
+  if (data.userIds && !data.userIds.includes(game.user.id)) return;
+
+  switch (data.action) {
+    case "botMessage":
+      recordEvent("relayed", {
+        source: data.sourceId ?? PRIMARY_SOURCE_ID,
+        message: data.message,
+      });
+      handleMessage(data.message, data.sourceId ?? PRIMARY_SOURCE_ID);
+      break;
+
+    case "relayStatus": {
+      const debugEnabled = getSetting("debugLogging");
+      if (debugEnabled) {
+        console.log(
+          `${MODULE_ID} | 📡 GM relay ${
+            data.connected ? "connected to" : "disconnected from"
+          } its voice sources`
+        );
+      }
+      relayedSources = data.sources ?? [];
+      for (const source of relayedSources) {
+        refreshSourceStatus(source.id, source.state);
+      }
+      refreshStatusIndicator();
+
+      // Never stay ducked on stale activity
+      for (const sourceId of [...sourceActivity.keys()]) {
+        const source = relayedSources.find((source) => source.id === sourceId);
+        if (!isConnectedState(source?.state)) clearVoiceActivity(sourceId);
+      }
+      if (!data.connected) clearVoiceActivity();
+      updateRelayProblem();
+      break;
+    }
+  }
+}
+
+// The GM's first status is still on its way at startup
+Hooks.once("ready", () => updateRelayProblem({ notify: false }));
+
+// Hand the relay, and judging long conversations, over when GMs come and go
+Hooks.on("userConnected", (user, connected) => {
+  updateConnectionRole();
+  if (!isRelayMode()) return;
+
+  if (isRelayClient()) {
+    // Bring a player who just joined up to date
+    if (connected && !user.isSelf) {
+      broadcastRelayStatus([user.id]);
+      for (const [sourceId, message] of lastRelayedMessages) {
+        game.socket.emit(SOCKET_NAME, {
+          action: "botMessage",
+          sourceId,
+          message,
+          userIds: [user.id],
+        });
+      }
+    }
+  } else if (!connected && user.isGM) {
+    // The relay may have gone - don't stay ducked until the next GM reports in
+    relayedSources = [];
+    clearVoiceActivity();
+  }
+  updateRelayProblem();
+});
+
+// ============================================================================
+// BOT EVENTS
+// ============================================================================
+
+/**
+ * Send an event to every bot that announced the "events" capability
+ * @returns {boolean} Whether any bot received it
+ */
+function sendBotEvent(message) {
+  let sent = false;
+  for (const source of voiceSources.values()) {
+    if (source.hasCapability("events") && source.send(message)) sent = true;
+  }
+  return sent;
+}
+
+/**
+ * Whether this client reports shared world state (music, Discord ducks), so
+ * bots hear it once rather than from every player
+ */
+function isEventReporter() {
+  return game.users.activeGM?.isSelf === true;
+}
+
+/**
+ * Confirmation of the level this client actually ducked to
+ */
+function getDuckAck() {
+  return {
+    type: "DUCK_ACK",
+    userId: game.user.id,
+    userName: game.user.name,
+    ducked: isDucked,
+    levels: { ...duckLevels },
+    reasons: [...duckRequests.keys()],
+  };
+}
+
+/**
+ * Every playlist track currently playing
+ */
+function getNowPlaying() {
+  return game.playlists.playing.flatMap((playlist) =>
+    playlist.sounds
+      .filter((sound) => sound.playing)
+      .map((sound) => ({
+        playlistId: playlist.id,
+        playlist: playlist.name,
+        soundId: sound.id,
+        name: sound.name,
+        path: sound.path,
+      }))
+  );
+}
+
+function sendNowPlaying() {
+  if (!isEventReporter()) return;
+  const tracks = getNowPlaying();
+  if (foundry.utils.objectsEqual({ tracks }, { tracks: lastNowPlaying })) return;
+  lastNowPlaying = tracks;
+  sendBotEvent({ type: "NOW_PLAYING", tracks });
+}
+
+/**
+ * Ask the bot to lower the Discord side, e.g. a music bot in the voice
+ * channel, until released
+ * @param {string} reason
+ * @param {object} [options]
+ * @param {number} [options.reductionPercent] How far to lower it; the bot's default if omitted
+ */
+function requestDiscordDuck(reason, { reductionPercent = null } = {}) {
+  const request = { type: "REQUEST_DUCK", reason, reductionPercent };
+  discordDuckRequests.set(reason, request);
+  sendBotEvent(request);
+}
+
+function releaseDiscordDuck(reason) {
+  if (!discordDuckRequests.delete(reason)) return false;
+  sendBotEvent({ type: "RELEASE_DUCK", reason });
+  return true;
+}
+
+/**
+ * Bring a bot that just completed its handshake up to date
+ */
+export function syncBotEvents(source) {
+  if (isEventReporter()) {
+    source.send({ type: "NOW_PLAYING", tracks: getNowPlaying() });
+    for (const request of discordDuckRequests.values()) source.send(request);
+  }
+  source.send(getDuckAck());
+}
+
+/**
+ * Duck the Discord side while a flagged playlist sound plays
+ */
+function updateFlaggedSound(sound) {
+  if (!isEventReporter() || !sound.getFlag(MODULE_ID, "duckDiscord")) return;
+  const reason = `sound.${sound.id}`;
+  if (sound.playing) requestDiscordDuck(reason);
+  else releaseDiscordDuck(reason);
+}
+
+const refreshNowPlaying = foundry.utils.debounce(sendNowPlaying, 250);
+const refreshDuckAck = foundry.utils.debounce(() => sendBotEvent(getDuckAck()), 100);
+
+Hooks.on("discordDucker.duck", () => refreshDuckAck());
+Hooks.on("discordDucker.unduck", () => refreshDuckAck());
+
+Hooks.on("updatePlaylistSound", (sound, changes) => {
+  if (!("playing" in changes)) return;
+  updateFlaggedSound(sound);
+  refreshNowPlaying();
+});
+
+Hooks.on("deletePlaylistSound", (sound) => {
+  if (isEventReporter()) releaseDiscordDuck(`sound.${sound.id}`);
+  refreshNowPlaying();
+});
+
+Hooks.on("updatePlaylist", () => refreshNowPlaying());
+
+// ============================================================================
+// SPEAKER RULES
+// ============================================================================
+
+/**
+ * Normalize the speaker list of a DUCK message. Bots may send plain Discord
+ * user IDs or `{ id, name }` objects.
+ * @returns {Array<{id: string, name: string|null}>|null} null if the bot only
+ *   sent a speaker count
+ */
+function parseSpeakers(message) {
+  if (!Array.isArray(message.speakers)) return null;
+  return message.speakers
+    .map((speaker) =>
+      typeof speaker === "object" && speaker !== null
+        ? { id: String(speaker.id ?? ""), name: speaker.name ?? null }
+        : { id: String(speaker), name: null }
+    )
+    .filter((speaker) => speaker.id);
+}
+
+/**
+ * Look up a Discord speaker in the GM's mapping table
+ */
+function resolveSpeaker({ id, name }) {
+  const mapping = getSetting("speakerMappings")[id] ?? {};
+  const user = mapping.userId ? game.users.get(mapping.userId) : null;
+  return {
+    discordId: id,
+    name: mapping.label || user?.name || name || id,
+    user: user ?? null,
+    isBot: Boolean(mapping.isBot),
+  };
+}
+
+/**
+ * Whether this client's rules say a speaker should not cause a duck
+ */
+function isSpeakerIgnored(speaker) {
+  if (speaker.isBot && getSetting("ignoreBots")) return true;
+  if (speaker.user?.isSelf && getSetting("ignoreOwnVoice")) return true;
+  return false;
+}
+
+/**
+ * Speaker entry for a Foundry user heard through Foundry's own A/V
+ */
+function resolveUserSpeaker(user) {
+  return { discordId: null, name: user.name, user, isBot: false };
+}
+
+export function usesDiscordSource() {
+  return getSetting("voiceSource") !== "foundry-av";
+}
+
+function usesFoundryAvSource() {
+  return getSetting("voiceSource") !== "discord";
+}
+
+/**
+ * Activity from the voice sources this client listens to. The calibration
+ * simulator is always heard, so it also works with Foundry A/V alone.
+ */
+function getSourceActivities() {
+  return [...sourceActivity]
+    .filter(([sourceId]) => usesDiscordSource() || sourceId === SIMULATOR_SOURCE_ID)
+    .map(([, activity]) => activity);
+}
+
+/**
+ * Everyone currently causing a duck, across the enabled voice sources. A user
+ * heard by several sources, or on both Discord and Foundry A/V, only counts once.
+ */
+export function getVoiceSpeakers() {
+  const speakers = [];
+  for (const activity of getSourceActivities()) {
+    for (const speaker of activity.speakers) {
+      const duplicate = speakers.some(
+        (other) =>
+          other.discordId === speaker.discordId ||
+          (speaker.user && other.user === speaker.user)
+      );
+      if (!duplicate) speakers.push(speaker);
+    }
+  }
+  if (usesFoundryAvSource()) {
+    for (const userId of avSpeakingUserIds) {
+      const user = game.users.get(userId);
+      if (!user || speakers.some((speaker) => speaker.user === user)) continue;
+      const speaker = resolveUserSpeaker(user);
+      if (!isSpeakerIgnored(speaker)) speakers.push(speaker);
+    }
+  }
+  return speakers;
+}
+
+/**
+ * Number of speakers causing a duck. Older bots only report a count, so this
+ * can be higher than the list of known speakers.
+ */
+export function getVoiceSpeakerCount() {
+  let countOnly = 0;
+  for (const activity of getSourceActivities()) {
+    countOnly += activity.speakerCount - activity.speakers.length;
+  }
+  return countOnly + getVoiceSpeakers().length;
+}
+
+/**
+ * Track the loudness reported by a source, smoothed so small fluctuations
+ * don't keep moving the volume
+ */
+export function updateSpeechLevel(activity, message) {
+  const rawLevel = message.level ?? message.rms;
+  if (typeof rawLevel !== "number" || Number.isNaN(rawLevel)) return;
+
+  const level = Math.min(Math.max(rawLevel, 0), 1);
+  activity.level =
+    activity.level === null
+      ? level
+      : activity.level + (level - activity.level) * LEVEL_SMOOTHING;
+}
+
+/**
+ * Loudest speech reported by any source, or null if none report a level
+ */
+function getSpeechLevel() {
+  let loudest = null;
+  for (const { level, speakerCount } of getSourceActivities()) {
+    if (level !== null && speakerCount > 0) loudest = Math.max(loudest ?? 0, level);
+  }
+  return loudest;
+}
+
+/**
+ * Graduated reduction: the normal reduction for a single speaker, growing
+ * towards the maximum as more people talk, scaled down for quiet speech
+ */
+function getGraduatedReductionPercent(speakerCount, level) {
+  const lightPercent = getSetting("duckReductionPercent");
+  const deepPercent = Math.max(getSetting("maxReductionPercent"), lightPercent);
+  const speakersForMax = getSetting("speakersForMaxDuck");
+
+  const speakerFactor = Math.min(
+    Math.max(speakerCount - 1, 0) / (speakersForMax - 1),
+    1
+  );
+  const reductionPercent =
+    lightPercent + (deepPercent - lightPercent) * speakerFactor;
+
+  // No level reported - treat speech as full volume
+  if (level === null) return reductionPercent;
+  return reductionPercent * (QUIET_SPEECH_FACTOR + (1 - QUIET_SPEECH_FACTOR) * level);
+}
+
+/**
+ * Volume reduction for the current voice activity
+ */
+function getVoiceReductionPercent() {
+  const reductionPercent =
+    getSetting("duckMode") === "graduated"
+      ? getGraduatedReductionPercent(getVoiceSpeakerCount(), getSpeechLevel())
+      : getSetting("duckReductionPercent");
+
+  const gmReductionPercent = getSetting("gmReductionPercent");
+  const gmSpeaking = getVoiceSpeakers().some((speaker) => speaker.user?.isGM);
+  if (gmSpeaking && gmReductionPercent > 0) {
+    return Math.max(reductionPercent, gmReductionPercent);
+  }
+  return reductionPercent;
+}
+
+/**
+ * Duck or unduck to match the current voice activity
+ * @param {number} [receivedAt] performance.now() when the activity that
+ *   prompted this arrived; settings changes don't count as speech starting
+ */
+export function reapplyVoiceDuck(receivedAt = null) {
+  const voiceActive =
+    getSetting("enableDucking") && !suspendedUntil && getVoiceSpeakerCount() > 0;
+  if (voiceActive !== voiceWasActive) {
+    voiceWasActive = voiceActive;
+    speechStartedAt = voiceActive ? receivedAt : null;
+    recordEvent("speech", {
+      speaking: voiceActive,
+      speakers: getVoiceSpeakers().map((speaker) => speaker.name),
+    });
+  }
+  setDuckRequest(
+    "voice",
+    voiceActive ? { reductionPercent: getVoiceReductionPercent() } : null
+  );
+  updateLongTalk();
+  refreshStatusIndicator();
+}
+
+/**
+ * Forget voice activity from a source (e.g. when it goes away) and release
+ * the voice duck unless another source still hears someone
+ * @param {string} [sourceId] Forget every source if omitted
+ */
+export function clearVoiceActivity(sourceId) {
+  if (sourceId) sourceActivity.delete(sourceId);
+  else sourceActivity.clear();
+  reapplyVoiceDuck();
+}
+
+/**
+ * Apply the per-speaker rules to a DUCK message and duck or unduck accordingly
+ * @param {number} [receivedAt] performance.now() when the message arrived
+ */
+export function handleSpeakerUpdate(message, sourceId, receivedAt) {
+  if (!usesDiscordSource() && sourceId !== SIMULATOR_SOURCE_ID) return;
+  const speakers = parseSpeakers(message);
+  const activity = sourceActivity.get(sourceId) ?? {
+    speakers: [],
+    speakerCount: 0,
+    tableSpeakerCount: 0,
+    level: null,
+  };
+  sourceActivity.set(sourceId, activity);
+  updateSpeechLevel(activity, message);
+
+  // Older bots only report a count - duck for everyone
+  if (speakers === null) {
+    activity.speakers = [];
+    activity.speakerCount = Math.max(message.speakerCount ?? 1, 1);
+    activity.tableSpeakerCount = activity.speakerCount;
+    reapplyVoiceDuck(receivedAt);
+    return;
+  }
+
+  for (const speaker of speakers) {
+    heardSpeakers.set(speaker.id, speaker.name);
+  }
+
+  const resolved = speakers.map(resolveSpeaker);
+  activity.tableSpeakerCount = resolved.filter((speaker) => !speaker.isBot).length;
+  activity.speakers = resolved.filter((speaker) => !isSpeakerIgnored(speaker));
+  activity.speakerCount = activity.speakers.length;
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 🗣️ Speaking (${sourceId}): ${
+        activity.speakers.map((speaker) => speaker.name).join(", ") || "nobody"
+      } (${speakers.length - activity.speakers.length} ignored)`
+    );
+  }
+
+  // Speakers this client ignores still count towards a long conversation
+  if (!activity.speakerCount && !activity.tableSpeakerCount) {
+    sourceActivity.delete(sourceId);
+  }
+  reapplyVoiceDuck(receivedAt);
+}
+
+// ============================================================================
+// FOUNDRY A/V VOICE ACTIVITY
+// ============================================================================
+
+/**
+ * Listen to Foundry's own A/V speaking indicator. The camera views are told
+ * about both the local user and remote users, so wrapping them hears everyone.
+ * @returns {boolean} Whether the listener is in place
+ */
+function installFoundryAvListener() {
+  const cameraViews = ui.webrtc;
+  if (typeof cameraViews?.setUserIsSpeaking !== "function") return false;
+  if (cameraViews.setUserIsSpeaking[MODULE_ID]) return true;
+
+  const original = cameraViews.setUserIsSpeaking;
+  const wrapped = function (userId, speaking, ...args) {
+    const result = original.call(this, userId, speaking, ...args);
+    onFoundryAvSpeaking(userId, speaking);
+    return result;
+  };
+  wrapped[MODULE_ID] = true;
+  cameraViews.setUserIsSpeaking = wrapped;
+  return true;
+}
+
+/**
+ * Feed a Foundry A/V speaking change into the same rules and duck path as
+ * Discord voice activity
+ */
+function onFoundryAvSpeaking(userId, speaking) {
+  const changed = speaking
+    ? !avSpeakingUserIds.has(userId)
+    : avSpeakingUserIds.has(userId);
+  if (!changed) return;
+
+  if (speaking) avSpeakingUserIds.add(userId);
+  else avSpeakingUserIds.delete(userId);
+  if (!usesFoundryAvSource()) return;
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    const name = game.users.get(userId)?.name ?? userId;
+    console.log(
+      `${MODULE_ID} | 🎙️ Foundry A/V: ${name} ${
+        speaking ? "started" : "stopped"
+      } speaking`
+    );
+  }
+  reapplyVoiceDuck(performance.now());
+}
+
+// Someone who disconnects mid-sentence never sends "stopped speaking"
+Hooks.on("userConnected", (user, connected) => {
+  if (!connected) onFoundryAvSpeaking(user.id, false);
+});
+
+// ============================================================================
+// SPEAKER MAPPING CONFIG
+// ============================================================================
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM form linking Discord user IDs to Foundry users
+ */
+class SpeakerMappingConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-speaker-mapping`,
+    tag: "form",
+    classes: [MODULE_ID],
+    window: {
+      title: "DISCORD_DUCKER.SpeakerMapping.Title",
+      icon: "fa-solid fa-headset",
+      contentClasses: ["standard-form"],
+    },
+    position: { width: 680 },
+    form: {
+      handler: SpeakerMappingConfig.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addRow: SpeakerMappingConfig.#onAddRow,
+      addHeard: SpeakerMappingConfig.#onAddHeard,
+      removeRow: SpeakerMappingConfig.#onRemoveRow,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/speaker-mapping.hbs` },
+    footer: { template: "templates/generic/form-footer.hbs" },
+  };
+
+  /**
+   * Rows being edited, kept across re-renders
+   * @type {Array<{discordId: string, label: string, userId: string, isBot: boolean}>}
+   */
+  #rows = Object.entries(getSetting("speakerMappings")).map(
+    ([discordId, mapping]) => ({ discordId, ...mapping })
+  );
+
+  async _prepareContext(options) {
+    const users = Object.fromEntries(
+      game.users.map((user) => [user.id, user.name])
+    );
+    const unmappedHeard = [...heardSpeakers.keys()].filter(
+      (id) => !this.#rows.some((row) => row.discordId === id)
+    );
+    return {
+      rows: this.#rows,
+      users,
+      hasUnmappedHeard: unmappedHeard.length > 0,
+      buttons: [
+        {
+          type: "submit",
+          icon: "fa-solid fa-save",
+          label: "DISCORD_DUCKER.Common.Save",
+        },
+      ],
+    };
+  }
+
+  /**
+   * Pull unsaved edits out of the form before re-rendering
+   */
+  #readRows() {
+    const data = new foundry.applications.ux.FormDataExtended(this.element);
+    const { rows = {} } = foundry.utils.expandObject(data.object);
+    this.#rows = Object.values(rows).map((row) => ({
+      discordId: row.discordId?.trim() ?? "",
+      label: row.label?.trim() ?? "",
+      userId: row.userId ?? "",
+      isBot: Boolean(row.isBot),
+    }));
+  }
+
+  static #onAddRow() {
+    this.#readRows();
+    this.#rows.push({ discordId: "", label: "", userId: "", isBot: false });
+    this.render();
+  }
+
+  static #onAddHeard() {
+    this.#readRows();
+    for (const [discordId, name] of heardSpeakers) {
+      if (this.#rows.some((row) => row.discordId === discordId)) continue;
+      this.#rows.push({ discordId, label: name ?? "", userId: "", isBot: false });
+    }
+    this.render();
+  }
+
+  static #onRemoveRow(event, target) {
+    this.#readRows();
+    this.#rows.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onSubmit(event, form, formData) {
+    this.#readRows();
+    const mappings = {};
+    for (const { discordId, ...mapping } of this.#rows) {
+      if (!discordId) continue;
+      mappings[discordId] = mapping;
+    }
+    await game.settings.set(MODULE_ID, "speakerMappings", mappings);
+  }
+}
+
+// ============================================================================
+// DUCK REQUESTS
+// ============================================================================
+
+/**
+ * Decide the duck from every active request: the deepest reduction wins, and
+ * the volume only comes back once every request has been released
+ */
+export function updateDuck() {
+  if (!duckRequests.size) {
+    if (isDucked) unduckVolume();
+    return;
+  }
+
+  const defaultPercent = getSetting("duckReductionPercent");
+  const targetLevels = mapChannels(() => 1);
+  for (const request of duckRequests.values()) {
+    const levels =
+      request.levels ??
+      getChannelTargetLevels(request.reductionPercent ?? defaultPercent);
+    for (const key of Object.keys(targetLevels)) {
+      targetLevels[key] = Math.min(targetLevels[key], levels[key] ?? 1);
+    }
+  }
+  duckVolume(targetLevels);
+}
+
+/**
+ * Set or clear a single-owner request (e.g. voice activity)
+ * @param {string} reason
+ * @param {object|null} request null to release
+ * @param {number} [request.reductionPercent] Playlist reduction, scaled for
+ *   the other channels
+ * @param {object} [request.levels] Exact level per channel instead; channels
+ *   left out are not ducked
+ */
+export function setDuckRequest(reason, request) {
+  if (request === null) {
+    if (!duckRequests.delete(reason)) return;
+  } else {
+    duckRequests.set(reason, { count: 1, reductionPercent: null, ...request });
+  }
+  updateDuck();
+}
+
+/**
+ * Add a reference-counted request. Every call needs a matching releaseDuck.
+ * @param {string} reason
+ * @param {object} [options]
+ * @param {number} [options.reductionPercent] Playlist reduction (0-100);
+ *   defaults to the user's reduction setting
+ */
+function requestDuck(reason, { reductionPercent = null } = {}) {
+  const request = duckRequests.get(reason) ?? { count: 0, reductionPercent };
+  request.count++;
+  if (reductionPercent !== null) {
+    request.reductionPercent = Math.max(
+      request.reductionPercent ?? 0,
+      Math.min(Math.max(reductionPercent, 0), 100)
+    );
+  }
+  duckRequests.set(reason, request);
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 📥 Duck requested by "${reason}" (${request.count} active)`
+    );
+  }
+  updateDuck();
+}
+
+/**
+ * Release one reference of a request made with requestDuck
+ * @returns {boolean} Whether there was a request to release
+ */
+function releaseDuck(reason) {
+  const request = duckRequests.get(reason);
+  if (!request) {
+    console.warn(`${MODULE_ID} | ⚠️  No active duck for "${reason}"`);
+    return false;
+  }
+
+  request.count--;
+  if (request.count <= 0) duckRequests.delete(reason);
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 📤 Duck released by "${reason}" (${Math.max(
+        request.count,
+        0
+      )} left)`
+    );
+  }
+  updateDuck();
+  return true;
+}
+
+/**
+ * Duck for a fixed time, then release automatically
+ * @returns {Promise<void>} Resolves once the hold is released
+ */
+function holdDuck(ms, reason = "hold", options = {}) {
+  requestDuck(reason, options);
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      releaseDuck(reason);
+      resolve();
+    }, ms);
+  });
+}
+
+// ============================================================================
+// PRIORITY SOUNDS
+// ============================================================================
+
+/**
+ * Kinds of sound a GM can flag to duck everything else while they play
+ */
+const PRIORITY_KINDS = {
+  narration: {
+    label: "DISCORD_DUCKER.Priority.narration",
+    reductionSetting: "narrationReductionPercent",
+  },
+  stinger: {
+    label: "DISCORD_DUCKER.Priority.stinger",
+    reductionSetting: "stingerReductionPercent",
+  },
+};
+
+/**
+ * Sound events after which a sound is no longer playing
+ */
+const SOUND_STOP_EVENTS = ["end", "stop", "pause"];
+
+/**
+ * The priority kind a playing sound is flagged with, from its PlaylistSound
+ * or AmbientSound document
+ * @returns {string|null} A PRIORITY_KINDS key
+ */
+function getSoundPriority(sound) {
+  const document =
+    findPlaylistSound(sound) ??
+    canvas?.sounds?.placeables.find((placeable) => placeable.sound === sound)?.document;
+  const kind = document?.getFlag(MODULE_ID, "priority");
+  return kind in PRIORITY_KINDS ? kind : null;
+}
+
+/**
+ * Duck every other sound until a priority sound ends. It stacks with voice
+ * and other ducks like any request: the deepest wins, and the volume only
+ * comes back once all of them are released.
+ */
+function startPriorityDuck(sound, kind) {
+  if (prioritySounds.has(sound)) return;
+
+  // Foundry reuses Sound objects across replays, so the handlers are kept
+  // on the entry and all removed together when the duck ends
+  const reason = `${kind}:${foundry.utils.randomID()}`;
+  const entry = { reason, timeout: null, onPlay: null, onStop: () => endPriorityDuck(sound) };
+  prioritySounds.set(sound, entry);
+
+  // Sounds on a duck bus channel play around it, not boosted back out of it
+  if (sound.playing) {
+    routeAroundDuckBus(sound);
+  } else {
+    entry.onPlay = () => routeAroundDuckBus(sound);
+    sound.addEventListener?.("play", entry.onPlay, { once: true });
+  }
+
+  // Looping sounds hold the duck until they are stopped
+  const remainingMs = (sound.duration - sound.currentTime) * 1000;
+  if (!sound.loop && Number.isFinite(remainingMs) && remainingMs > 0) {
+    entry.timeout = setTimeout(() => endPriorityDuck(sound), remainingMs);
+  }
+  for (const event of SOUND_STOP_EVENTS) sound.addEventListener?.(event, entry.onStop);
+
+  const reductionPercent = getSetting(PRIORITY_KINDS[kind].reductionSetting);
+  recordEvent("priority", { kind, src: sound.src, reductionPercent });
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 🎙️ ${kind} started, ducking other audio: ${sound.src}`
+    );
+  }
+
+  // Every channel, whatever the player ducks for voice
+  setDuckRequest(reason, {
+    levels: mapChannels(() => 1 - reductionPercent / 100),
+  });
+}
+
+function endPriorityDuck(sound) {
+  const entry = prioritySounds.get(sound);
+  if (!entry) return;
+  clearTimeout(entry.timeout);
+  if (entry.onPlay) sound.removeEventListener?.("play", entry.onPlay);
+  for (const event of SOUND_STOP_EVENTS) sound.removeEventListener?.(event, entry.onStop);
+  prioritySounds.delete(sound);
+  setDuckRequest(entry.reason, null);
+
+  // The timer can fire a moment before the audio ends. A sound still playing
+  // stays around the bus until it stops, following the release on its own
+  // gain instead of dropping into a duck the bus hasn't released yet.
+  if (sound.playing) applySoundDuckLevel(sound);
+  else restoreDuckBusRoute(sound);
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(`${MODULE_ID} | 🎙️ Priority sound ended: ${sound.src}`);
+  }
+}
+
+/**
+ * Add the priority choice to PlaylistSound and AmbientSound config sheets
+ */
+async function injectPriorityField(app, element) {
+  const form = element instanceof HTMLElement ? element : element[0];
+  if (!form || form.querySelector(".ducker-priority")) return;
+
+  const html = await foundry.applications.handlebars.renderTemplate(
+    `modules/${MODULE_ID}/templates/priority-sound.hbs`,
+    {
+      flag: `flags.${MODULE_ID}.priority`,
+      priority: app.document.getFlag(MODULE_ID, "priority") ?? "",
+      kinds: {
+        "": "DISCORD_DUCKER.Priority.none",
+        ...Object.fromEntries(
+          Object.entries(PRIORITY_KINDS).map(([key, { label }]) => [key, label])
+        ),
+      },
+    }
+  );
+
+  const footer = form.querySelector(".form-footer");
+  if (footer) footer.insertAdjacentHTML("beforebegin", html);
+  else form.insertAdjacentHTML("beforeend", html);
+  app.setPosition({ height: "auto" });
+}
+
+Hooks.on("renderPlaylistSoundConfig", injectPriorityField);
+Hooks.on("renderAmbientSoundConfig", injectPriorityField);
+
+// ============================================================================
+// MANUAL CONTROLS
+// ============================================================================
+
+/**
+ * Fully mute or unmute the playlist channel
+ */
+export function setMusicMuted(muted) {
+  musicMuted = muted;
+  setDuckRequest("mute", muted ? { levels: { music: 0 } } : null);
+  ui.notifications.info(
+    muted
+      ? "DISCORD_DUCKER.Notifications.MusicMuted"
+      : "DISCORD_DUCKER.Notifications.MusicUnmuted",
+    { localize: true }
+  );
+}
+
+/**
+ * Ignore voice activity for a while, restoring the volume now and resuming
+ * automatically afterwards
+ */
+export function suspendAutoDucking(minutes = getSetting("suspendMinutes")) {
+  if (suspendTimeout) clearTimeout(suspendTimeout);
+  suspendedUntil = Date.now() + minutes * 60000;
+  suspendTimeout = setTimeout(resumeAutoDucking, minutes * 60000);
+  reapplyVoiceDuck();
+
+  console.log(`${MODULE_ID} | 💤 Auto-ducking suspended for ${minutes} minute(s)`);
+  ui.notifications.info(
+    game.i18n.format("DISCORD_DUCKER.Notifications.Suspended", { minutes })
+  );
+}
+
+export function resumeAutoDucking() {
+  if (!suspendedUntil) return;
+  if (suspendTimeout) clearTimeout(suspendTimeout);
+  suspendTimeout = null;
+  suspendedUntil = null;
+
+  // Pick up anyone who is already talking
+  reapplyVoiceDuck();
+
+  console.log(`${MODULE_ID} | ⏰ Auto-ducking resumed`);
+  ui.notifications.info("DISCORD_DUCKER.Notifications.Resumed", {
+    localize: true,
+  });
+}
+
+// ============================================================================
+// LONG CONVERSATIONS
+// ============================================================================
+
+/**
+ * Long conversation modes that change the shared playlists for everyone
+ */
+function isSharedLongTalkMode(mode) {
+  return mode === "pause" || mode === "swap";
+}
+
+/**
+ * Whether this client pauses or swaps the music for the whole table
+ */
+export function isLongTalkJudge() {
+  return (
+    game.users.activeGM?.isSelf === true &&
+    isSharedLongTalkMode(getSetting("longTalkMode"))
+  );
+}
+
+/**
+ * Whether anyone is talking, regardless of this client's own speaker rules,
+ * ducking switch or suspension. Only speakers marked as bots don't count.
+ */
+function isTableSpeaking() {
+  if (usesFoundryAvSource() && avSpeakingUserIds.size > 0) return true;
+  if (!usesDiscordSource()) return false;
+  return [...sourceActivity].some(
+    ([sourceId, activity]) =>
+      sourceId !== SIMULATOR_SOURCE_ID && activity.tableSpeakerCount > 0
+  );
+}
+
+/**
+ * Track sustained speech. Called whenever voice activity changes.
+ */
+function updateLongTalk() {
+  const mode = getSetting("longTalkMode");
+  if (mode === "off") return;
+
+  // Playlists are shared documents, so only one client changes them, and it
+  // goes by the whole table rather than what it ducks for itself
+  const shared = isSharedLongTalkMode(mode);
+  if (shared && !game.users.activeGM?.isSelf) return;
+  const speaking = shared ? isTableSpeaking() : voiceWasActive;
+
+  // Ducking further follows the speech; the gap only delays ending it
+  if (longTalk?.mode === "deeper") {
+    setDuckRequest(
+      "longTalk",
+      speaking ? { reductionPercent: getSetting("longTalkReductionPercent") } : null
+    );
+  }
+
+  if (speaking) {
+    if (conversationGapTimeout) {
+      clearTimeout(conversationGapTimeout);
+      conversationGapTimeout = null;
+    }
+    if (!conversationTimeout && !longTalk) {
+      conversationTimeout = setTimeout(
+        escalateLongTalk,
+        getSetting("longTalkSeconds") * 1000
+      );
+    }
+  } else if ((conversationTimeout || longTalk) && !conversationGapTimeout) {
+    conversationGapTimeout = setTimeout(endConversation, LONG_TALK_GAP_MS);
+  }
+}
+
+/**
+ * The conversation has gone on long enough - apply the configured action
+ */
+async function escalateLongTalk() {
+  conversationTimeout = null;
+  const mode = getSetting("longTalkMode");
+  if (isSharedLongTalkMode(mode) && !game.users.activeGM?.isSelf) return;
+
+  longTalk = { mode, pausedSounds: [], quietPlaylistId: null };
+  recordEvent("longTalk", { escalated: mode });
+  console.log(`${MODULE_ID} | 🗨️ Long conversation, applying "${mode}"`);
+
+  if (mode === "deeper") {
+    setDuckRequest("longTalk", {
+      reductionPercent: getSetting("longTalkReductionPercent"),
+    });
+    return;
+  }
+
+  const escalation = longTalk;
+  const playing = game.playlists.playing.flatMap((playlist) =>
+    playlist.sounds.filter((sound) => sound.playing)
+  );
+  // The path tells a track apart from one edited to play another file
+  escalation.pausedSounds = playing.map((sound) => ({
+    ...toSoundRef(sound),
+    path: sound.path,
+  }));
+
+  let quiet = null;
+  if (mode === "swap") {
+    quiet = getQuietPlaylist();
+    if (!quiet) {
+      console.warn(
+        `${MODULE_ID} | ⚠️ Quiet playlist "${getSetting("longTalkPlaylist")}" not found`
+      );
+    } else if (quiet.playing) {
+      quiet = null;
+    }
+  }
+
+  // Fade the music out while the quiet playlist fades in, then pause it
+  const durationMs = getLongTalkFadeMs();
+  fadeMusic({
+    fadeOut: escalation.pausedSounds,
+    fadeIn: quiet ? quiet.sounds.map(toSoundRef) : [],
+    durationMs,
+  });
+  if (quiet) {
+    escalation.quietPlaylistId = quiet.id;
+    await quiet.playAll();
+  }
+  // Resume even if this client reloads mid-conversation
+  if (longTalk === escalation) saveSessionRecord({ longTalk: escalation });
+
+  await new Promise((resolve) => setTimeout(resolve, durationMs));
+  // The conversation ended during the fade, and the music is fading back in
+  if (longTalk !== escalation) return;
+  for (const sound of playing) {
+    // Stopped by someone in the meantime - leave it stopped
+    if (!sound.playing) continue;
+    await sound.update({
+      playing: false,
+      pausedTime: sound.sound?.currentTime ?? 0,
+    });
+  }
+}
+
+/**
+ * Speech has stopped for long enough: undo the escalation
+ */
+async function endConversation() {
+  if (conversationTimeout) clearTimeout(conversationTimeout);
+  if (conversationGapTimeout) clearTimeout(conversationGapTimeout);
+  conversationTimeout = null;
+  conversationGapTimeout = null;
+
+  const escalation = longTalk;
+  longTalk = null;
+  if (!escalation) return;
+
+  recordEvent("longTalk", { resumed: escalation.mode });
+  console.log(`${MODULE_ID} | 🗨️ Conversation over, resuming music`);
+  setDuckRequest("longTalk", null);
+  await resumeMusic(escalation);
+  saveSessionRecord({ longTalk: null });
+}
+
+function getQuietPlaylist() {
+  const key = getSetting("longTalkPlaylist").trim();
+  if (!key) return null;
+  return game.playlists.get(key) ?? game.playlists.getName(key) ?? null;
+}
+
+/**
+ * How long pausing or swapping the music fades for: the quiet playlist's own
+ * fade if it has one
+ */
+function getLongTalkFadeMs() {
+  return getQuietPlaylist()?.fade || LONG_TALK_FADE_MS;
+}
+
+/**
+ * @param {PlaylistSound} sound
+ * @returns {{playlistId: string, soundId: string}}
+ */
+function toSoundRef(sound) {
+  return { playlistId: sound.parent.id, soundId: sound.id };
+}
+
+function getSoundFromRef({ playlistId, soundId }) {
+  return game.playlists.get(playlistId)?.sounds.get(soundId) ?? null;
+}
+
+/**
+ * Fade the quiet playlist out while the paused tracks fade back in where
+ * they stopped
+ */
+async function resumeMusic({ pausedSounds = [], quietPlaylistId = null }) {
+  if (!pausedSounds.length && !quietPlaylistId) return;
+  if (!game.users.activeGM?.isSelf) return;
+
+  const quiet = game.playlists.get(quietPlaylistId);
+  const durationMs = quiet?.fade || LONG_TALK_FADE_MS;
+  fadeMusic({
+    fadeOut: quiet ? quiet.sounds.filter((sound) => sound.playing).map(toSoundRef) : [],
+    fadeIn: pausedSounds,
+    durationMs,
+  });
+  for (const ref of pausedSounds) {
+    const sound = getSoundFromRef(ref);
+    // Deleted, pointed at another file or stopped by someone in the
+    // meantime - leave it alone
+    if (!sound || sound.path !== ref.path) continue;
+    if (sound.playing || typeof sound.pausedTime !== "number") continue;
+    await sound.update({ playing: true });
+  }
+  if (!quiet?.playing) return;
+  await new Promise((resolve) => setTimeout(resolve, durationMs));
+  await quiet.stopAll();
+}
+
+/**
+ * Fade playlist sounds on every client. Sounds to fade in that haven't
+ * started yet fade in from silence once they do.
+ * @param {object} fade
+ * @param {Array<{playlistId: string, soundId: string}>} fade.fadeOut
+ * @param {Array<{playlistId: string, soundId: string}>} fade.fadeIn
+ * @param {number} fade.durationMs
+ */
+function fadeMusic(fade) {
+  game.socket.emit(SOCKET_NAME, {
+    action: "musicFade",
+    ...fade,
+  });
+  applyMusicFade(fade);
+}
+
+function applyMusicFade({ fadeOut = [], fadeIn = [], durationMs }) {
+  for (const ref of fadeOut) {
+    const sound = getSoundFromRef(ref)?.sound;
+    if (sound?.playing) sound.fade(0, { duration: durationMs });
+  }
+
+  for (const ref of fadeIn) {
+    const playlistSound = getSoundFromRef(ref);
+    const sound = playlistSound?.sound;
+    if (!sound) continue;
+    // Still fading out: turn it around from wherever it is
+    if (sound.playing) {
+      sound.fade(playlistSound.volume, { duration: durationMs });
+      continue;
+    }
+    // Foundry starts the sound at full volume; take over as it starts
+    const onPlay = () =>
+      sound.fade(playlistSound.volume, { from: 0, duration: durationMs });
+    sound.addEventListener?.("play", onPlay, { once: true });
+    setTimeout(() => sound.removeEventListener?.("play", onPlay), MUSIC_FADE_START_MS);
+  }
+}
+
+/**
+ * The playlist sound a playing Sound belongs to
+ */
+function findPlaylistSound(sound) {
+  for (const playlist of game.playlists) {
+    const match = playlist.sounds.find((playlistSound) => playlistSound.sound === sound);
+    if (match) return match;
+  }
+  return null;
+}
+
+// Someone picked new music mid-conversation - don't resume the old tracks over it
+Hooks.on("playSound", (sound) => {
+  if (!longTalk?.pausedSounds.length || getSoundChannel(sound) !== "music") return;
+  const playlistSound = findPlaylistSound(sound);
+  if (!playlistSound || playlistSound.parent.id === longTalk.quietPlaylistId) return;
+
+  longTalk.pausedSounds = [];
+  saveSessionRecord({ longTalk });
+});
+
+// Another GM took over judging the table. The tracks this client paused, and
+// the times it paused them at, are no longer its to resume.
+Hooks.on("userConnected", () => {
+  if (!longTalk || !isSharedLongTalkMode(longTalk.mode)) return;
+  if (game.users.activeGM?.isSelf) return;
+
+  console.log(`${MODULE_ID} | 🗨️ No longer the active GM, dropping the paused music`);
+  if (conversationGapTimeout) clearTimeout(conversationGapTimeout);
+  conversationGapTimeout = null;
+  longTalk = null;
+  saveSessionRecord({ longTalk: null });
+});
+
+// Music paused by a session that ended mid-conversation
+Hooks.once("ready", async () => {
+  const escalation = readSessionRecord()?.longTalk;
+  if (!escalation) return;
+  saveSessionRecord({ longTalk: null });
+  await resumeMusic(escalation);
+});
+
+// ============================================================================
+// CHAT COMMANDS
+// ============================================================================
+const CHAT_COMMAND = "/duck";
+const TEST_DUCK_MS = 3000; // Default length of /duck test
+const TEST_DUCK_MIN_SEC = 1; // Shortest /duck test
+const TEST_DUCK_MAX_SEC = 60; // Longest /duck test
+const BOOLEAN_WORDS = {
+  on: true,
+  true: true,
+  yes: true,
+  1: true,
+  off: false,
+  false: false,
+  no: false,
+  0: false,
+};
+
+/**
+ * Settings `/duck set` can change, by short name
+ */
+const CHAT_SETTING_ALIASES = {
+  enabled: "enableDucking",
+  reduction: "duckReductionPercent",
+  ambient: "ambientReductionPercent",
+  interface: "interfaceReductionPercent",
+  mode: "duckMode",
+  max: "maxReductionPercent",
+  attack: "duckDurationMs",
+  hold: "unduckDelayMs",
+  release: "unduckDurationMs",
+};
+
+const CHAT_COMMAND_HELP = [
+  ["status", "Status"],
+  ["test [seconds]", "Test"],
+  ["off [10m]", "Off"],
+  ["on", "On"],
+  ["reconnect", "Reconnect"],
+  ["set <setting> <value>", "Set"],
+  ["all <command>", "All"],
+];
+
+/**
+ * Parse "30s", "10m", "1.5h" or a bare number of minutes
+ * @returns {number|null} Minutes
+ */
+function parseDurationMinutes(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smh]?)$/i.exec(text ?? "");
+  if (!match) return null;
+  const value = Number(match[1]);
+  switch (match[2].toLowerCase()) {
+    case "s":
+      return value / 60;
+    case "h":
+      return value * 60;
+    default:
+      return value;
+  }
+}
+
+function formatPercent(level) {
+  return `${Math.round(level * 100)}%`;
+}
+
+/**
+ * A chat card line, with its label localized
+ */
+function chatLine(label, value) {
+  return { label: game.i18n.localize(`DISCORD_DUCKER.Chat.Status.${label}`), value };
+}
+
+/**
+ * Run a /duck subcommand on this client
+ * @param {string[]} args Subcommand and its arguments
+ * @returns {Promise<{title: string, lines?: Array<{label: string, value: string}>, message?: string, error?: boolean}>}
+ */
+async function runDuckCommand([subcommand = "status", ...args]) {
+  const i18n = game.i18n;
+  switch (subcommand.toLowerCase()) {
+    case "status": {
+      const channels = Object.entries(DUCK_CHANNELS);
+      const speakers = getVoiceSpeakers().map((speaker) => speaker.name);
+      const unnamed = getVoiceSpeakerCount() - speakers.length;
+      if (unnamed > 0) {
+        speakers.push(i18n.format("DISCORD_DUCKER.Chat.Status.Others", { count: unnamed }));
+      }
+      return {
+        title: i18n.localize("DISCORD_DUCKER.Chat.Title.Status"),
+        lines: [
+          chatLine(
+            "Connection",
+            usesDiscordSource()
+              ? getConnectionStateLabel(getConnectionState())
+              : i18n.localize("DISCORD_DUCKER.FoundryAv")
+          ),
+          ...getStatusSources().map((source) => ({
+            label: source.label,
+            value: getConnectionStateLabel(source.state),
+          })),
+          chatLine(
+            "Baseline",
+            channels
+              .map(
+                ([, { label, volumeSetting }]) =>
+                  `${i18n.localize(label)} ${formatPercent(
+                    game.settings.get("core", volumeSetting)
+                  )}`
+              )
+              .join(", ")
+          ),
+          chatLine(
+            "Ducked",
+            isDucked
+              ? channels
+                  .map(
+                    ([key, { label }]) =>
+                      `${i18n.localize(label)} ${formatPercent(duckLevels[key])}`
+                  )
+                  .join(", ")
+              : i18n.localize("DISCORD_DUCKER.Common.No")
+          ),
+          chatLine(
+            "Speaking",
+            speakers.join(", ") || i18n.localize("DISCORD_DUCKER.Chat.Status.Nobody")
+          ),
+          chatLine(
+            "AutoDucking",
+            !getSetting("enableDucking")
+              ? i18n.localize("DISCORD_DUCKER.Chat.Status.Disabled")
+              : suspendedUntil
+              ? i18n.format("DISCORD_DUCKER.Chat.Status.SuspendedUntil", {
+                  time: new Date(suspendedUntil).toLocaleTimeString(),
+                })
+              : i18n.localize("DISCORD_DUCKER.Chat.Status.On")
+          ),
+        ],
+      };
+    }
+
+    case "test": {
+      const requested = args[0] === undefined ? TEST_DUCK_MS / 1000 : Number(args[0]);
+      if (!Number.isFinite(requested)) {
+        return {
+          title: i18n.localize("DISCORD_DUCKER.Chat.Title.Test"),
+          message: i18n.format("DISCORD_DUCKER.Chat.BadSeconds", {
+            text: args[0],
+            min: TEST_DUCK_MIN_SEC,
+            max: TEST_DUCK_MAX_SEC,
+          }),
+          error: true,
+        };
+      }
+      const seconds = Math.clamp(requested, TEST_DUCK_MIN_SEC, TEST_DUCK_MAX_SEC);
+      holdDuck(seconds * 1000, "test");
+      return {
+        title: i18n.localize("DISCORD_DUCKER.Chat.Title.Test"),
+        message: i18n.format("DISCORD_DUCKER.Chat.Test", { seconds }),
+      };
+    }
+
+    case "off": {
+      const minutes = args[0] ? parseDurationMinutes(args[0]) : getSetting("suspendMinutes");
+      if (!minutes) {
+        return {
+          title: i18n.localize("DISCORD_DUCKER.Chat.Title.Suspend"),
+          message: i18n.format("DISCORD_DUCKER.Chat.BadDuration", { text: args[0] }),
+          error: true,
+        };
+      }
+      suspendAutoDucking(minutes);
+      return {
+        title: i18n.localize("DISCORD_DUCKER.Chat.Title.Suspend"),
+        message: i18n.format("DISCORD_DUCKER.Chat.Suspended", {
+          time: new Date(suspendedUntil).toLocaleTimeString(),
+        }),
+      };
+    }
+
+    case "on":
+      resumeAutoDucking();
+      return {
+        title: i18n.localize("DISCORD_DUCKER.Chat.Title.Resume"),
+        message: i18n.localize("DISCORD_DUCKER.Chat.Resumed"),
+      };
+
+    case "reconnect":
+      if (isRelayMode() && !isRelayClient()) {
+        return {
+          title: i18n.localize("DISCORD_DUCKER.Chat.Title.Reconnect"),
+          message: i18n.localize("DISCORD_DUCKER.Chat.RelayReconnect"),
+          error: true,
+        };
+      }
+      restartConnection();
+      return {
+        title: i18n.localize("DISCORD_DUCKER.Chat.Title.Reconnect"),
+        message: i18n.localize("DISCORD_DUCKER.Chat.Reconnecting"),
+      };
+
+    case "set":
+      return setSettingFromChat(args[0], args.slice(1).join(" "));
+
+    default:
+      return {
+        title: i18n.localize("DISCORD_DUCKER.Chat.Title.Commands"),
+        lines: CHAT_COMMAND_HELP.map(([command, description]) => ({
+          label: `${CHAT_COMMAND} ${command}`,
+          value: i18n.format(`DISCORD_DUCKER.Chat.Help.${description}`, {
+            settings: Object.keys(CHAT_SETTING_ALIASES).join(", "),
+          }),
+        })),
+      };
+  }
+}
+
+/**
+ * Validate and save a setting named by a /duck set alias
+ */
+async function setSettingFromChat(alias, rawValue) {
+  const i18n = game.i18n;
+  const title = i18n.localize("DISCORD_DUCKER.Chat.Title.Set");
+  const key = CHAT_SETTING_ALIASES[alias?.toLowerCase()];
+  if (!key) {
+    return {
+      title,
+      message: i18n.format("DISCORD_DUCKER.Chat.UnknownSetting", {
+        alias: alias ?? "",
+        settings: Object.keys(CHAT_SETTING_ALIASES).join(", "),
+      }),
+      error: true,
+    };
+  }
+
+  const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+  const name = i18n.localize(config.name);
+  let value = rawValue.trim();
+  if (config.type === Boolean) {
+    value = BOOLEAN_WORDS[value.toLowerCase()];
+    if (value === undefined) {
+      return {
+        title,
+        message: i18n.format("DISCORD_DUCKER.Chat.BadBoolean", { name }),
+        error: true,
+      };
+    }
+  } else if (config.type === Number) {
+    value = value === "" ? NaN : Number(value);
+    const { min, max } = config.range ?? {};
+    if (Number.isNaN(value) || value < min || value > max) {
+      return {
+        title,
+        message: i18n.format("DISCORD_DUCKER.Chat.OutOfRange", { name, min, max }),
+        error: true,
+      };
+    }
+  } else if (config.choices && !(value in config.choices)) {
+    return {
+      title,
+      message: i18n.format("DISCORD_DUCKER.Chat.BadChoice", {
+        name,
+        choices: Object.keys(config.choices).join(", "),
+      }),
+      error: true,
+    };
+  }
+
+  await game.settings.set(MODULE_ID, key, value);
+  return { title, message: i18n.format("DISCORD_DUCKER.Chat.SettingSaved", { name, value }) };
+}
+
+/**
+ * Whisper a command result to the user who issued it
+ */
+async function whisperCommandResult(result, userId) {
+  const content = await foundry.applications.handlebars.renderTemplate(
+    `modules/${MODULE_ID}/templates/chat-card.hbs`,
+    {
+      ...result,
+      // Replies to a GM's "all" command say whose they are
+      user: userId === game.user.id ? null : game.user.name,
+    }
+  );
+  await ChatMessage.implementation.create({
+    content,
+    whisper: [userId],
+    speaker: ChatMessage.implementation.getSpeaker({ user: game.user }),
+  });
+}
+
+async function handleDuckCommand(args) {
+  if (args[0]?.toLowerCase() === "all") {
+    if (!game.user.isGM) {
+      await whisperCommandResult(
+        {
+          title: game.i18n.localize("DISCORD_DUCKER.Chat.Title.All"),
+          message: game.i18n.localize("DISCORD_DUCKER.Chat.GmOnly"),
+          error: true,
+        },
+        game.user.id
+      );
+      return;
+    }
+    const command = args.slice(1);
+    game.socket.emit(SOCKET_NAME, {
+      action: "command",
+      command,
+    });
+    args = command;
+  }
+  await whisperCommandResult(await runDuckCommand(args), game.user.id);
+}
+
+/**
+ * Log a /duck command that threw and tell the user it didn't go through
+ */
+function reportCommandError(err) {
+  console.error(`${MODULE_ID} | ❌ /duck command failed:`, err);
+  ui.notifications.error(
+    game.i18n.format("DISCORD_DUCKER.Notifications.CommandFailed", { error: err.message })
+  );
+}
+
+/**
+ * A GM ran a command for every player
+ */
+async function onCommandMessage(data, senderId) {
+  if (!game.users.get(senderId)?.isGM) {
+    console.warn(`${MODULE_ID} | 🚫 Ignored a /duck all command from non-GM ${senderId}`);
+    return;
+  }
+  await whisperCommandResult(await runDuckCommand(data.command), senderId);
+}
+
+Hooks.on("chatMessage", (chatLog, message) => {
+  const [command, ...args] = message.trim().split(/\s+/);
+  if (command.toLowerCase() !== CHAT_COMMAND) return true;
+  handleDuckCommand(args).catch(reportCommandError);
+  return false;
+});
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Handshake details of a source, in plain data
+ */
+function getBotInfo(source) {
+  const botInfo = source?.botInfo;
+  return botInfo
+    ? {
+        protocol: botInfo.protocol,
+        version: botInfo.version,
+        capabilities: [...botInfo.capabilities],
+      }
+    : null;
+}
+
+/**
+ * Snapshot of the ducker for other modules and macros
+ */
+export function getDuckerState() {
+  return {
+    ducked: isDucked,
+    levels: getCurrentDuckLevels(),
+    targetLevels: { ...duckLevels },
+    reasons: Object.fromEntries(
+      [...duckRequests].map(([reason, request]) => [reason, request.count])
+    ),
+    muted: musicMuted,
+    suspendedUntil,
+    connection: getConnectionState(),
+    relay: isRelayMode(),
+    bot: getBotInfo(voiceSources.get(PRIMARY_SOURCE_ID)),
+    sources: [...voiceSources.values()].map((source) => ({
+      id: source.id,
+      type: source.type,
+      label: source.label,
+      state: source.state,
+      bot: getBotInfo(source),
+    })),
+    speakers: getVoiceSpeakers().map((speaker) => ({
+      discordId: speaker.discordId,
+      name: speaker.name,
+      userId: speaker.user?.id ?? null,
+    })),
+  };
+}
+
+/**
+ * Exposed as `game.modules.get("foundry-discord-ducker").api`.
+ *
+ * Hooks fired:
+ * - `discordDucker.duck` (state) when the volume ducks or changes depth
+ * - `discordDucker.unduck` (state) when the volume starts coming back
+ * - `discordDucker.connectionChange` (state, previous, sourceId) when a
+ *   voice source's connection changes state
+ */
+const api = {
+  /**
+   * Duck until a matching unduck(reason). Reference-counted per reason.
+   * @param {string} [reason="api"]
+   * @param {object} [options]
+   * @param {number} [options.reductionPercent]
+   */
+  duck: (reason = "api", options) => requestDuck(reason, options),
+
+  /**
+   * Release one duck(reason)
+   * @param {string} [reason="api"]
+   * @returns {boolean}
+   */
+  unduck: (reason = "api") => releaseDuck(reason),
+
+  /**
+   * Duck for a number of milliseconds
+   * @param {number} ms
+   * @param {string} [reason="hold"]
+   * @param {object} [options]
+   * @returns {Promise<void>}
+   */
+  hold: (ms, reason = "hold", options) => holdDuck(ms, reason, options),
+
+  /**
+   * Ignore voice activity for a number of minutes
+   * @param {number} [minutes] Defaults to the Suspend Duration setting
+   */
+  suspend: (minutes) => suspendAutoDucking(minutes),
+  resume: () => resumeAutoDucking(),
+
+  /**
+   * Fully mute the playlist channel, or unmute it
+   * @param {boolean} [muted] Toggles if omitted
+   */
+  mute: (muted = !musicMuted) => setMusicMuted(muted),
+
+  getState: getDuckerState,
+
+  /**
+   * Recent events, latency and settings, as exported from the diagnostics window
+   * @returns {object}
+   */
+  getDiagnostics: () => getDiagnosticsReport(),
+
+  /**
+   * Ask bots with the "events" capability to lower the Discord side (e.g. a
+   * music bot) until a matching releaseDiscord(reason)
+   * @param {string} [reason="api"]
+   * @param {object} [options]
+   * @param {number} [options.reductionPercent]
+   */
+  duckDiscord: (reason = "api", options) => requestDiscordDuck(reason, options),
+
+  /**
+   * Release a duckDiscord(reason)
+   * @param {string} [reason="api"]
+   * @returns {boolean}
+   */
+  releaseDiscord: (reason = "api") => releaseDiscordDuck(reason),
+
+  ConnectionState,
+};
+
+// ============================================================================
+// DUCKING PROFILES
+// ============================================================================
+
+/**
+ * Profile modes a GM can pick on a Scene, Playlist or PlaylistSound
+ */
+const PROFILE_MODES = {
+  "": "DISCORD_DUCKER.ProfileModes.inherit",
+  custom: "DISCORD_DUCKER.ProfileModes.custom",
+  never: "DISCORD_DUCKER.ProfileModes.never",
+  full: "DISCORD_DUCKER.ProfileModes.full",
+};
+
+/**
+ * Tuning a profile can override. Blank fields fall back to client settings.
+ */
+const PROFILE_TUNING_KEYS = ["duckDurationMs", "unduckDurationMs", "unduckDelayMs"];
+
+/**
+ * A document's ducking profile, or null if it inherits
+ */
+function getDocumentProfile(document) {
+  const profile = document?.getFlag(MODULE_ID, "profile");
+  if (!profile?.mode || !(profile.mode in PROFILE_MODES)) return null;
+  return profile;
+}
+
+/**
+ * Find the profile that applies right now. The most specific wins: a playing
+ * PlaylistSound, then its Playlist, then the viewed Scene.
+ */
+function resolveActiveProfile() {
+  for (const playlist of game.playlists.playing) {
+    for (const sound of playlist.sounds) {
+      if (!sound.playing) continue;
+      const soundProfile = getDocumentProfile(sound);
+      if (soundProfile) return { ...soundProfile, source: sound.name };
+      const playlistProfile = getDocumentProfile(playlist);
+      if (playlistProfile) return { ...playlistProfile, source: playlist.name };
+    }
+  }
+
+  const scene = game.scenes.viewed;
+  const sceneProfile = getDocumentProfile(scene);
+  if (sceneProfile) return { ...sceneProfile, source: scene.name };
+  return null;
+}
+
+/**
+ * Pick up a new profile after the scene or track changed, and re-apply any
+ * current duck with it
+ */
+function refreshActiveProfile() {
+  const profile = resolveActiveProfile();
+  if (foundry.utils.objectsEqual(profile ?? {}, activeProfile ?? {})) return;
+  activeProfile = profile;
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 🎼 Ducking profile: ${
+        profile ? `${profile.mode} (${profile.source})` : "default"
+      }`
+    );
+  }
+  updateDuck();
+}
+
+/**
+ * Playlist reduction from a custom profile, if it sets one
+ */
+function getProfileReductionPercent() {
+  if (activeProfile?.mode !== "custom") return null;
+  const reductionPercent = activeProfile.reductionPercent;
+  return typeof reductionPercent === "number" ? reductionPercent : null;
+}
 
-// ============================================================================
-// HANDLE NEW SOUNDS STARTING WHILE DUCKED
-// ============================================================================
-Hooks.on("playSound", (sound) => {
-  if (!isDucked) return;
-
-  // A new sound started while we're ducked - fade it to duck volume
-  const reductionPercent = getSetting("duckReductionPercent");
-  const volumeRatio = 1 - reductionPercent / 100;
-
-  // Wait a tiny bit for the sound to initialize its gain node
-  setTimeout(() => {
-    if (sound.gain && isDucked) {
-      const currentVolume = sound.gain.value;
-      const targetVolume = currentVolume * volumeRatio;
-
-      // Smooth fade instead of instant cut
-      try {
-        sound.fade(Math.max(targetVolume, 0.0001), {
-          duration: 200,
-          from: Math.max(currentVolume, 0.0001),
-          type: "exponential",
-        });
-      } catch (err) {
-        // Fallback to instant if fade fails
-        sound.gain.value = targetVolume;
-      }
+/**
+ * A fade/delay setting, overridden by the active profile where it sets one.
+ * A calibration preview beats both, so it is heard as configured.
+ */
+function getTuning(key) {
+  if (previewSettings && key in previewSettings) return previewSettings[key];
+  const override = activeProfile?.[key];
+  return typeof override === "number" ? override : getSetting(key);
+}
 
-      const debugEnabled = getSetting("debugLogging");
-      if (debugEnabled) {
-        console.log(
-          `${MODULE_ID} | 🎵 Fading newly started sound to duck level: ${sound.src}`
-        );
-      }
+/**
+ * Add the profile fields to a document config sheet. The inputs are named
+ * after the flag, so the sheet saves them with the document.
+ */
+async function injectProfileFields(app, element) {
+  const form = element instanceof HTMLElement ? element : element[0];
+  if (!form || form.querySelector(".ducker-profile")) return;
+
+  const html = await foundry.applications.handlebars.renderTemplate(
+    `modules/${MODULE_ID}/templates/ducking-profile.hbs`,
+    {
+      flag: `flags.${MODULE_ID}.profile`,
+      profile: app.document.getFlag(MODULE_ID, "profile") ?? {},
+      modes: PROFILE_MODES,
+      // Only playlist sounds can lower the Discord side while they play
+      discordFlag:
+        app.document.documentName === "PlaylistSound"
+          ? `flags.${MODULE_ID}.duckDiscord`
+          : null,
+      duckDiscord: app.document.getFlag(MODULE_ID, "duckDiscord") ?? false,
+      defaults: Object.fromEntries(
+        ["duckReductionPercent", ...PROFILE_TUNING_KEYS].map((key) => [
+          key,
+          getSetting(key),
+        ])
+      ),
     }
-  }, 50);
-});
+  );
+
+  // Scenes keep sound settings on their ambience tab
+  const target =
+    form.querySelector('.tab[data-tab="ambience"]') ??
+    form.querySelector(".form-footer")?.parentElement ??
+    form;
+  const footer = target.querySelector(":scope > .form-footer");
+  if (footer) footer.insertAdjacentHTML("beforebegin", html);
+  else target.insertAdjacentHTML("beforeend", html);
+  app.setPosition({ height: "auto" });
+}
+
+Hooks.on("renderSceneConfig", injectProfileFields);
+Hooks.on("renderPlaylistConfig", injectProfileFields);
+Hooks.on("renderPlaylistSoundConfig", injectProfileFields);
+
+// Follow scene and track changes
+Hooks.on("canvasReady", () => refreshActiveProfile());
+Hooks.on("updateScene", () => refreshActiveProfile());
+Hooks.on("updatePlaylist", () => refreshActiveProfile());
+Hooks.on("updatePlaylistSound", () => refreshActiveProfile());
+Hooks.on("deletePlaylistSound", () => refreshActiveProfile());
 
 // ============================================================================
-// TRACK MANUAL VOLUME CHANGES
+// AUDIO CHANNELS
 // ============================================================================
 
 /**
- * Check if user manually changed volume and update baseline if needed.
- * Called before ducking to ensure we have the correct baseline.
+ * Foundry's audio channels, each ducked independently. The key matches the
+ * AudioContext property on `game.audio`.
+ */
+const DUCK_CHANNELS = {
+  music: {
+    label: "DISCORD_DUCKER.Channels.music",
+    volumeSetting: "globalPlaylistVolume",
+    enabledSetting: "duckPlaylist",
+    reductionSetting: "duckReductionPercent",
+  },
+  environment: {
+    label: "DISCORD_DUCKER.Channels.environment",
+    volumeSetting: "globalAmbientVolume",
+    enabledSetting: "duckAmbient",
+    reductionSetting: "ambientReductionPercent",
+  },
+  interface: {
+    label: "DISCORD_DUCKER.Channels.interface",
+    volumeSetting: "globalInterfaceVolume",
+    enabledSetting: "duckInterface",
+    reductionSetting: "interfaceReductionPercent",
+  },
+};
+
+/**
+ * Build an object with one value per channel
  */
-function checkForManualVolumeChange() {
-  // Can't check if we don't have a baseline yet
-  if (originalVolume === null) return;
+function mapChannels(fn) {
+  return Object.fromEntries(
+    Object.entries(DUCK_CHANNELS).map(([key, channel]) => [key, fn(key, channel)])
+  );
+}
 
-  // Don't check while we're fading
-  if (currentFade) return;
+/**
+ * Target duck level of every channel for a given voice reduction. The
+ * reduction is expressed in playlist terms; other channels scale it by their
+ * own reduction setting.
+ */
+function getChannelTargetLevels(reductionPercent) {
+  const playlistPercent = getSetting("duckReductionPercent");
+  return mapChannels((key, channel) => {
+    if (!getSetting(channel.enabledSetting)) return 1;
+
+    // The active scene/playlist profile takes over the playlist channel
+    if (key === "music" && activeProfile) {
+      if (activeProfile.mode === "never") return 1;
+      if (activeProfile.mode === "full") return 0;
+    }
+    const channelPercent =
+      key === "music"
+        ? getProfileReductionPercent() ?? getSetting(channel.reductionSetting)
+        : getSetting(channel.reductionSetting);
+    const scaledPercent = Math.min(
+      (reductionPercent * channelPercent) / playlistPercent,
+      100
+    );
+    return 1 - scaledPercent / 100;
+  });
+}
 
-  const currentVolume = game.settings.get("core", "globalPlaylistVolume");
-  const reductionPercent = getSetting("duckReductionPercent");
-  const expectedDuckedVolume = originalVolume * (1 - reductionPercent / 100);
+/**
+ * Which channel a sound plays on, based on its AudioContext
+ */
+function getSoundChannel(sound) {
+  return (
+    Object.keys(DUCK_CHANNELS).find((key) => game.audio[key] === sound.context) ??
+    "music"
+  );
+}
 
-  // Allow small tolerance for floating point comparison
-  const tolerance = 0.01;
+// ============================================================================
+// DUCK GAIN BUS
+// ============================================================================
 
-  // If not ducked, current volume should match originalVolume
-  // If it doesn't, user changed it manually
-  if (!isDucked) {
-    if (Math.abs(currentVolume - originalVolume) > tolerance) {
-      const oldBaseline = originalVolume;
-      originalVolume = currentVolume;
+/**
+ * Insert a dedicated gain node between each channel's master gain and its
+ * destination. Foundry keeps sole ownership of the master gain (and so of the
+ * saved volume settings); ducking only ever touches our own node.
+ * @returns {boolean} Whether at least one channel is routed through the bus
+ */
+function installDuckBus() {
+  const levels = getCurrentDuckLevels();
+  for (const key of Object.keys(DUCK_CHANNELS)) {
+    const context = game.audio[key];
+    if (duckBus.has(key) || !context?.gainNode) continue;
+
+    // Channels sharing a context can't be told apart - the first one owns it
+    const alreadyRouted = [...duckBus.values()].some(
+      (bus) => bus.context === context
+    );
+    if (alreadyRouted) continue;
 
-      const debugEnabled = getSetting("debugLogging");
-      if (debugEnabled) {
-        console.log(
-          `${MODULE_ID} | 🎚️ Manual volume change detected: ${(
-            oldBaseline * 100
-          ).toFixed(0)}% → ${(currentVolume * 100).toFixed(0)}%`
-        );
-        ui.notifications.info(
-          `Discord Ducker: Volume baseline updated to ${(
-            currentVolume * 100
-          ).toFixed(0)}%`
-        );
-      }
+    try {
+      const gain = context.createGain();
+      gain.gain.setValueAtTime(Math.max(levels[key], MIN_GAIN), context.currentTime);
+      context.gainNode.disconnect(context.destination);
+      context.gainNode.connect(gain);
+      gain.connect(context.destination);
+
+      // Priority sounds skip the duck through a copy of the master gain
+      const bypass = context.createGain();
+      bypass.gain.setValueAtTime(
+        game.settings.get("core", DUCK_CHANNELS[key].volumeSetting),
+        context.currentTime
+      );
+      bypass.connect(context.destination);
+      duckBus.set(key, { context, gain, bypass });
+    } catch (err) {
+      console.error(
+        `${MODULE_ID} | ❌ Failed to install duck bus on ${key} channel:`,
+        err
+      );
     }
   }
-  // If ducked, current volume should match expectedDuckedVolume
-  // If it's higher than expected AND higher than ducked level, user raised it manually
-  else {
-    if (currentVolume > expectedDuckedVolume + tolerance) {
-      // User raised volume while ducked - they want it louder
-      // Calculate what their intended baseline would be
-      const newBaseline = currentVolume / (1 - reductionPercent / 100);
-      const oldBaseline = originalVolume;
-      originalVolume = Math.min(newBaseline, 1.0); // Cap at 100%
 
-      const debugEnabled = getSetting("debugLogging");
-      if (debugEnabled) {
-        console.log(
-          `${MODULE_ID} | 🎚️ Volume raised while ducked: baseline ${(
-            oldBaseline * 100
-          ).toFixed(0)}% → ${(originalVolume * 100).toFixed(0)}%`
-        );
-        ui.notifications.info(
-          `Discord Ducker: Volume baseline updated to ${(
-            originalVolume * 100
-          ).toFixed(0)}%`
-        );
-      }
-    }
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled && duckBus.size) {
+    console.log(
+      `${MODULE_ID} | 🎛️ Duck bus installed on: ${[...duckBus.keys()].join(", ")}`
+    );
   }
+  return duckBus.size > 0;
 }
 
-// ============================================================================
-// STATE
-// ============================================================================
-let websocket = null;
-let isConnected = false;
-let isDucked = false;
-let originalVolume = null;
-let reconnectTimeout = null;
-let currentFade = null; // Track active fade animation
+/**
+ * Whether a sound's output already passes through the duck bus
+ */
+function isRoutedThroughDuckBus(sound) {
+  if (bypassedSounds.has(sound)) return false;
+  for (const bus of duckBus.values()) {
+    if (bus.context === sound.context) return true;
+  }
+  return false;
+}
 
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
-Hooks.once("ready", () => {
-  console.log(`${MODULE_ID} | 🎵 Foundry Discord Ducker initializing...`);
+/**
+ * Send a priority sound's output past the duck bus, straight to the bus's
+ * copy of the channel master gain, until the sound stops. That may be after
+ * its priority duck ended, if the duck's timer fires a moment early.
+ */
+function routeAroundDuckBus(sound) {
+  const bus = [...duckBus.values()].find((bus) => bus.context === sound.context);
+  const node = sound.gainNode;
+  if (!bus || !node || bypassedSounds.has(sound)) return;
 
-  // Check if user has ducking enabled
-  const duckingEnabled = game.settings.get(MODULE_ID, "enableDucking");
-  if (!duckingEnabled) {
-    console.log(
-      `${MODULE_ID} | ⭕ Ducking disabled in settings, skipping WebSocket connection`
-    );
-    return;
+  try {
+    node.disconnect(sound.context.gainNode);
+  } catch (err) {
+    // Not connected yet, ignore
   }
+  node.connect(bus.bypass);
 
-  // Store the current volume
-  originalVolume = game.settings.get("core", "globalPlaylistVolume");
-  console.log(
-    `${MODULE_ID} | 📊 Current global playlist volume: ${originalVolume}`
-  );
+  const onStop = () => restoreDuckBusRoute(sound);
+  for (const event of SOUND_STOP_EVENTS) sound.addEventListener?.(event, onStop);
+  bypassedSounds.set(sound, { bus, onStop });
+}
+
+/**
+ * Put a sound routed around the duck bus back through it
+ */
+function restoreDuckBusRoute(sound) {
+  const route = bypassedSounds.get(sound);
+  if (!route) return;
+  bypassedSounds.delete(sound);
+  for (const event of SOUND_STOP_EVENTS) sound.removeEventListener?.(event, route.onStop);
+
+  try {
+    sound.gainNode.disconnect(route.bus.bypass);
+    sound.gainNode.connect(sound.context.gainNode);
+  } catch (err) {
+    // Sound might have been torn down, ignore
+  }
+}
 
-  // Connect to Discord bot
-  connectToDiscordBot();
+// Keep each bypass at the channel volume Foundry puts on the master gain
+Hooks.on("clientSettingChanged", (key, value) => {
+  for (const [channelKey, bus] of duckBus) {
+    if (key !== `core.${DUCK_CHANNELS[channelKey].volumeSetting}`) continue;
+    if (Number.isFinite(value)) {
+      bus.bypass.gain.setValueAtTime(value, bus.context.currentTime);
+    }
+  }
 });
 
 // ============================================================================
-// WEBSOCKET CONNECTION
+// SOUND VOLUME TRACKING
 // ============================================================================
-function connectToDiscordBot() {
-  const websocketUrl = getSetting("websocketUrl");
-  const authToken = getSetting("authToken");
-
-  // Validate auth token
-  if (!authToken || authToken.trim() === "") {
-    console.warn(`${MODULE_ID} | ⚠️ No auth token configured`);
-    ui.notifications.warn(
-      "Discord Ducker: Please configure your authentication token in module settings"
-    );
-    return;
-  }
+const NEW_SOUND_FADE_MS = 200; // Fade for sounds that were playing before we saw them
 
-  // Build URL with auth token
-  const urlWithAuth = `${websocketUrl}?token=${encodeURIComponent(authToken)}`;
-  console.log(
-    `${MODULE_ID} | 🔌 Attempting to connect to Discord bot at ${websocketUrl}...`
-  );
+/**
+ * Duck level of a channel at a moment, following the fade in progress
+ */
+function getDuckLevelAt(key, time) {
+  return currentFade ? getFadeLevelAt(currentFade, key, time) : duckLevels[key];
+}
 
-  try {
-    websocket = new WebSocket(urlWithAuth);
-
-    // ====================================================================
-    // CONNECTION OPENED
-    // ====================================================================
-    websocket.onopen = () => {
-      isConnected = true;
-      console.log(`${MODULE_ID} | ✅ Connected to Discord bot!`);
-      ui.notifications.info("Discord Ducker: Connected to Discord bot");
-
-      // Clear any pending reconnect
-      if (reconnectTimeout) {
-        clearTimeout(reconnectTimeout);
-        reconnectTimeout = null;
-      }
-    };
+/**
+ * Share of a sound's intended volume its own gain should play at, for a
+ * channel duck level. The duck bus already ducks the sounds routed through
+ * it, and priority sounds are not ducked at all.
+ */
+function getSoundGainFactor(sound, level) {
+  if (prioritySounds.has(sound) || isRoutedThroughDuckBus(sound)) return 1;
+  return level;
+}
 
-    // ====================================================================
-    // MESSAGE RECEIVED
-    // ====================================================================
-    websocket.onmessage = (event) => {
-      const debugEnabled = getSetting("debugLogging");
-      if (debugEnabled) {
-        console.log(`${MODULE_ID} | 📨 Received message:`, event.data);
-      }
+/**
+ * The volume a sound should play at when nothing is ducked. Playlist tracks
+ * read it from their document; anything else from what its gain was when it
+ * started playing.
+ */
+function getSoundVolume(sound) {
+  const playlistSound = findPlaylistSound(sound);
+  if (playlistSound) return playlistSound.volume;
+  return soundVolumes.get(sound) ?? null;
+}
 
-      try {
-        const message = JSON.parse(event.data);
-        handleMessage(message);
-      } catch (error) {
-        console.error(`${MODULE_ID} | ❌ Failed to parse message:`, error);
-      }
-    };
+/**
+ * Remember a sound's unducked volume from its gain
+ * @param {foundry.audio.Sound} sound
+ * @param {number} [level] Duck level the gain is already at
+ */
+function rememberSoundVolume(sound, level = 1) {
+  if (!sound.gain) return;
+  soundVolumes.set(sound, sound.gain.value / Math.max(level, MIN_GAIN));
+}
 
-    // ====================================================================
-    // CONNECTION CLOSED
-    // ====================================================================
-    websocket.onclose = (event) => {
-      isConnected = false;
+/**
+ * A sound outside the duck bus started: remember the volume Foundry started
+ * it at, then duck it on its own gain. Volume changes Foundry makes while it
+ * plays aren't seen until the next duck change.
+ */
+function startDuckingSound(sound) {
+  rememberSoundVolume(sound);
+  applySoundDuckLevel(sound);
+}
 
-      // Check for auth rejection
-      if (event.code === 4001) {
-        console.error(
-          `${MODULE_ID} | 🔒 Authentication failed - check your token`
-        );
-        ui.notifications.error(
-          "Discord Ducker: Authentication failed - check your token in settings"
-        );
-        return; // Don't auto-reconnect on auth failure
-      }
+/**
+ * If the duck fade is still running `afterMs` from now, carry the sound the
+ * rest of the way, after whatever was just scheduled on its gain
+ */
+function continueDuckFade(sound, afterMs) {
+  const fade = currentFade;
+  const volume = getSoundVolume(sound);
+  if (!fade || !sound.gain || volume == null) return;
+
+  const remainingMs = fade.startTime + fade.durationMs - performance.now();
+  if (remainingMs <= afterMs) return;
+  sound.gain.linearRampToValueAtTime(
+    volume * getSoundGainFactor(sound, fade.endLevels[getSoundChannel(sound)]),
+    sound.context.currentTime + remainingMs / 1000
+  );
+}
 
-      console.log(
-        `${MODULE_ID} | 🔌 Disconnected from Discord bot (code: ${event.code})`
-      );
-      ui.notifications.warn("Discord Ducker: Disconnected from Discord bot");
+/**
+ * Bring a sound that just started, or just stopped being a priority sound,
+ * to its duck level
+ */
+function applySoundDuckLevel(sound) {
+  if (!sound.gain) return;
+  const key = getSoundChannel(sound);
+  const level = getDuckLevelAt(key, performance.now());
+  const volume = getSoundVolume(sound);
+  const factor = getSoundGainFactor(sound, level);
+  if (volume == null || (factor === 1 && !currentFade)) return;
 
-      // Attempt to reconnect
-      console.log(
-        `${MODULE_ID} | ⏳ Will attempt to reconnect in ${
-          RECONNECT_DELAY_MS / 1000
-        } seconds...`
-      );
-      reconnectTimeout = setTimeout(connectToDiscordBot, RECONNECT_DELAY_MS);
-    };
+  try {
+    scheduleParamFade(
+      sound.gain,
+      sound.context.currentTime,
+      sound.gain.value,
+      volume * factor,
+      NEW_SOUND_FADE_MS,
+      "linear"
+    );
+    continueDuckFade(sound, NEW_SOUND_FADE_MS);
+  } catch (err) {
+    // Sound might have stopped, ignore
+  }
 
-    // ====================================================================
-    // CONNECTION ERROR
-    // ====================================================================
-    websocket.onerror = (error) => {
-      console.error(`${MODULE_ID} | ❌ WebSocket error:`, error);
-    };
-  } catch (error) {
-    console.error(`${MODULE_ID} | ❌ Failed to create WebSocket:`, error);
-    // Try to reconnect
-    reconnectTimeout = setTimeout(connectToDiscordBot, RECONNECT_DELAY_MS);
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 🎵 Fading newly started sound to duck level: ${sound.src}`
+    );
   }
 }
 
 // ============================================================================
-// MESSAGE HANDLING
+// SMOOTH VOLUME FADING
 // ============================================================================
-function handleMessage(message) {
-  const debugEnabled = getSetting("debugLogging");
+const MIN_GAIN = 0.0001; // Exponential ramps can't reach exactly 0
+const GLIDE_TIME_CONSTANTS = 5; // A glide is within 1% of its target after 5 time constants
+const CURVE_STEP_MS = 20; // Shaped curves are scheduled as linear segments this long
+const MAX_CURVE_STEPS = 250;
 
-  if (debugEnabled) {
-    console.log(`${MODULE_ID} | 🎯 Handling message type: ${message.type}`);
+/**
+ * Fade curve shapes. `ease` maps progress (0-1) to the share of the distance
+ * covered; exponential instead moves by an equal ratio per unit of time,
+ * which sounds even to the ear.
+ */
+const FADE_CURVES = {
+  linear: { label: "DISCORD_DUCKER.Curves.linear", ease: (progress) => progress },
+  exponential: { label: "DISCORD_DUCKER.Curves.exponential", ease: null },
+  "s-curve": {
+    label: "DISCORD_DUCKER.Curves.s-curve",
+    ease: (progress) => (1 - Math.cos(Math.PI * progress)) / 2,
+  },
+  logarithmic: {
+    label: "DISCORD_DUCKER.Curves.logarithmic",
+    ease: (progress) => (1 - 2 ** (-6 * progress)) / (1 - 2 ** -6),
+  },
+};
+
+function getCurveChoices() {
+  return Object.fromEntries(
+    Object.entries(FADE_CURVES).map(([key, { label }]) => [key, label])
+  );
+}
+
+/**
+ * Level partway along a curve. Audio and UI both use this, so the slider
+ * indicator never drifts from what is heard.
+ * @param {string} curve A FADE_CURVES key, or "glide"
+ */
+function getCurveLevel(curve, startLevel, endLevel, progress) {
+  if (progress >= 1.0) return endLevel;
+  if (curve === "glide") {
+    return (
+      endLevel +
+      (startLevel - endLevel) * Math.exp(-progress * GLIDE_TIME_CONSTANTS)
+    );
   }
+  const ease = FADE_CURVES[curve]?.ease;
+  if (!ease) {
+    const start = Math.max(startLevel, MIN_GAIN);
+    const end = Math.max(endLevel, MIN_GAIN);
+    return start * Math.pow(end / start, progress);
+  }
+  return startLevel + (endLevel - startLevel) * ease(progress);
+}
 
-  switch (message.type) {
-    case "DUCK":
-      if (debugEnabled) {
-        console.log(
-          `${MODULE_ID} | 🔉 DUCK command received (${message.speakerCount} speaker(s))`
-        );
-      }
-      duckVolume();
-      break;
+/**
+ * Schedule a fade on an AudioParam, starting from exactly `startLevel` so a
+ * fade that interrupts another continues without a jump
+ */
+function scheduleParamFade(param, now, startLevel, endLevel, durationMs, curve) {
+  const start = Math.max(startLevel, MIN_GAIN);
+  const end = Math.max(endLevel, MIN_GAIN);
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(start, now);
+
+  if (durationMs <= 0) {
+    param.setValueAtTime(end, now);
+    return;
+  }
 
-    case "UNDUCK":
-      if (debugEnabled) {
-        console.log(`${MODULE_ID} | 🔊 UNDUCK command received`);
-      }
-      unduckVolume();
-      break;
+  const duration = durationMs / 1000;
+  if (curve === "glide") {
+    param.setTargetAtTime(end, now, duration / GLIDE_TIME_CONSTANTS);
+    param.setValueAtTime(end, now + duration);
+  } else if (curve === "linear") {
+    param.linearRampToValueAtTime(end, now + duration);
+  } else if (!FADE_CURVES[curve]?.ease) {
+    param.exponentialRampToValueAtTime(end, now + duration);
+  } else {
+    // Other shapes have no native ramp - approximate with short segments
+    const steps = Math.min(
+      Math.max(Math.ceil(durationMs / CURVE_STEP_MS), 1),
+      MAX_CURVE_STEPS
+    );
+    for (let step = 1; step <= steps; step++) {
+      const progress = step / steps;
+      param.linearRampToValueAtTime(
+        Math.max(getCurveLevel(curve, start, end, progress), MIN_GAIN),
+        now + duration * progress
+      );
+    }
+  }
+}
 
-    case "PING":
-      if (debugEnabled) {
-        console.log(`${MODULE_ID} | 🏓 PING received, sending PONG`);
-      }
-      if (websocket && isConnected) {
-        websocket.send(JSON.stringify({ type: "PONG" }));
-      }
-      break;
+/**
+ * Progress (0-1) of a fade at a given time
+ */
+function getFadeProgress(fade, time) {
+  if (fade.durationMs <= 0) return 1.0;
+  return Math.min((time - fade.startTime) / fade.durationMs, 1.0);
+}
 
-    default:
-      console.warn(`${MODULE_ID} | ⚠️  Unknown message type: ${message.type}`);
-  }
+/**
+ * Duck level of one channel of a fade at a given time, following the curve
+ * the audio thread uses so the indicator matches what is heard
+ */
+function getFadeLevelAt(fade, key, time) {
+  return getCurveLevel(
+    fade.curve,
+    fade.startLevels[key],
+    fade.endLevels[key],
+    getFadeProgress(fade, time)
+  );
 }
 
-// ============================================================================
-// SMOOTH VOLUME FADING
-// ============================================================================
+/**
+ * Current duck level of every channel, including partway through a fade
+ */
+function getCurrentDuckLevels() {
+  if (!currentFade) return { ...duckLevels };
+  const now = performance.now();
+  return mapChannels((key) => getFadeLevelAt(currentFade, key, now));
+}
 
 /**
- * Smoothly fade volume - HYBRID approach
- * Uses native Web Audio API for smooth audio, low-rate updates for UI feedback
+ * Smoothly fade every channel's duck level - HYBRID approach
+ * Audio is ramped natively on the duck bus; the slider indicators are
+ * refreshed at a low rate for visual feedback only
+ * @param {object} endLevels Target level per channel
+ * @param {number} durationMs
+ * @param {object} [options]
+ * @param {string} [options.curve] A FADE_CURVES key, or "glide" to approach
+ *   the target asymptotically, so re-targeting it mid-way never restarts the
+ *   movement
  */
-function fadeVolume(startVolume, endVolume, durationMs) {
+function fadeVolume(endLevels, durationMs, { curve = "exponential" } = {}) {
+  const startLevels = getCurrentDuckLevels();
   if (currentFade) {
     cancelAnimationFrame(currentFade.animationId);
     currentFade = null;
   }
 
+  const fade = {
+    startLevels,
+    endLevels,
+    durationMs,
+    curve,
+    startTime: performance.now(),
+    animationId: null,
+  };
+
+  recordEvent("fade", {
+    from: startLevels,
+    to: endLevels,
+    durationMs,
+    curve,
+  });
+
+  // Ramp the duck bus, plus any sounds that bypass it
+  scheduleDuckBusFade(fade);
+  applyNativeFadesToPlayingSounds(fade);
+
   return new Promise((resolve) => {
-    const startTime = performance.now();
     const uiUpdateInterval = 1000 / getSetting("volumeDuckingFps"); // Dynamic FPS setting
     let lastUIUpdate = 0;
 
-    // Apply hardware-accelerated fade to all currently playing sounds
-    applyNativeFadesToPlayingSounds(startVolume, endVolume, durationMs);
-
-    // Animate UI slider at low framerate for visual feedback only
+    // Animate the slider indicators at low framerate for visual feedback only
     function animateUI(currentTime) {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / durationMs, 1.0);
+      const progress = getFadeProgress(fade, currentTime);
 
       if (currentTime - lastUIUpdate >= uiUpdateInterval || progress === 1.0) {
         lastUIUpdate = currentTime;
-
-        // Use same easing curve for UI to match audio perception
-        let easedProgress;
-        if (endVolume < startVolume) {
-          easedProgress = progress === 1 ? 1 : 1 - Math.pow(2, -6 * progress);
-        } else {
-          easedProgress = Math.pow(progress, 2);
-        }
-
-        const currentVolume =
-          startVolume + (endVolume - startVolume) * easedProgress;
-        game.settings.set("core", "globalPlaylistVolume", currentVolume);
+        updateVolumeIndicators(
+          mapChannels((key) => getFadeLevelAt(fade, key, currentTime))
+        );
       }
 
       if (progress < 1.0) {
-        currentFade = { animationId: requestAnimationFrame(animateUI) };
+        fade.animationId = requestAnimationFrame(animateUI);
       } else {
         currentFade = null;
         const debugEnabled = getSetting("debugLogging");
         if (debugEnabled) {
           console.log(
-            `${MODULE_ID} | ✅ Fade complete (final: ${endVolume.toFixed(4)})`
+            `${MODULE_ID} | ✅ Fade complete (final: ${formatLevels(endLevels)})`
           );
         }
         resolve();
       }
     }
 
-    currentFade = { animationId: requestAnimationFrame(animateUI) };
+    currentFade = fade;
+    fade.animationId = requestAnimationFrame(animateUI);
   });
 }
 
 /**
- * Apply native Web Audio fades to all currently playing sounds
+ * Schedule a fade on every duck bus gain node
  * This runs on the audio thread for buttery-smooth fading
  */
-function applyNativeFadesToPlayingSounds(startVolume, endVolume, durationMs) {
-  // Calculate the ratio of change based on start/end volumes
-  const volumeRatio = startVolume > 0 ? endVolume / startVolume : 1;
+function scheduleDuckBusFade({ startLevels, endLevels, durationMs, curve }) {
+  for (const [key, { context, gain }] of duckBus) {
+    scheduleParamFade(
+      gain.gain,
+      context.currentTime,
+      startLevels[key],
+      endLevels[key],
+      durationMs,
+      curve
+    );
+  }
+}
+
+/**
+ * Apply the same fade to playing sounds that bypass the duck bus
+ * (everything, if the bus could not be installed). Priority sounds are left
+ * alone. Each sound is aimed at its intended volume, never scaled from its
+ * current gain.
+ */
+function applyNativeFadesToPlayingSounds({ startLevels, endLevels, durationMs, curve }) {
+  let fadedCount = 0;
 
   for (const sound of game.audio.playing.values()) {
     if (!sound.gain) continue;
+    if (isRoutedThroughDuckBus(sound) || prioritySounds.has(sound)) continue;
+
+    const key = getSoundChannel(sound);
+    // Playing since before we were watching: work its volume out from the gain
+    if (!soundVolumes.has(sound)) rememberSoundVolume(sound, startLevels[key]);
+    const volume = getSoundVolume(sound);
+    if (volume == null) continue;
 
     try {
-      // Calculate this sound's target volume based on ratio
-      const currentSoundVolume = sound.gain.value;
-      const targetSoundVolume = currentSoundVolume * volumeRatio;
-
-      // Use Foundry's native fade - hardware accelerated!
-      // Exponential fades sound more natural to human hearing
-      // Note: exponential can't reach exactly 0, so use small minimum
-      const safeTargetVolume = Math.max(targetSoundVolume, 0.0001);
-      sound.fade(safeTargetVolume, {
-        duration: durationMs,
-        from: Math.max(currentSoundVolume, 0.0001),
-        type: "exponential",
-      });
+      // Schedule directly on the sound's gain - runs on the audio thread
+      scheduleParamFade(
+        sound.gain,
+        sound.context.currentTime,
+        sound.gain.value,
+        volume * getSoundGainFactor(sound, endLevels[key]),
+        durationMs,
+        curve
+      );
+      fadedCount++;
     } catch (err) {
       // Sound might have stopped, ignore
     }
   }
 
   const debugEnabled = getSetting("debugLogging");
-  if (debugEnabled) {
+  if (debugEnabled && fadedCount) {
     console.log(
-      `${MODULE_ID} | 🎵 Applied native fades to ${game.audio.playing.size} playing sound(s)`
+      `${MODULE_ID} | 🎵 Applied native fades to ${fadedCount} sound(s) outside the duck bus`
     );
   }
 }
 
+/**
+ * Format per-channel levels for logging
+ */
+export function formatLevels(levels) {
+  return Object.entries(levels)
+    .map(
+      ([key, level]) =>
+        `${game.i18n.localize(DUCK_CHANNELS[key].label)} ${level.toFixed(4)}`
+    )
+    .join(", ");
+}
+
 // ============================================================================
 // VOLUME CONTROL
 // ============================================================================
-async function duckVolume() {
+async function duckVolume(
+  targetLevels = getChannelTargetLevels(getSetting("duckReductionPercent"))
+) {
   const debugEnabled = getSetting("debugLogging");
-  // Check if user manually changed volume before we duck
-  checkForManualVolumeChange();
 
-  if (isDucked) {
-    console.log(`${MODULE_ID} | ⏭️  Already ducked, skipping`);
+  const unchanged = Object.keys(DUCK_CHANNELS).every(
+    (key) => Math.abs(targetLevels[key] - duckLevels[key]) < LEVEL_DEADBAND
+  );
+  if (isDucked && unchanged) {
+    if (debugEnabled) {
+      console.log(`${MODULE_ID} | ⏭️  Already ducked, skipping`);
+    }
+    speechStartedAt = null;
     return;
   }
 
-  // Get current volume (in case it changed since we stored it)
-  const currentVolume = game.settings.get("core", "globalPlaylistVolume");
-
-  // Store original volume if we haven't already
-  if (originalVolume === null) {
-    originalVolume = currentVolume;
-    console.log(`${MODULE_ID} | 💾 Stored original volume: ${originalVolume}`);
-  }
-
-  const reductionPercent = getSetting("duckReductionPercent");
-  const duckDuration = getSetting("duckDurationMs");
-  const targetVolume = originalVolume * (1 - reductionPercent / 100);
+  const duckDuration = getTuning("duckDurationMs");
+  const wasDucked = isDucked;
   if (debugEnabled) {
     console.log(
-      `${MODULE_ID} | 🎚️ Ducking from ${currentVolume.toFixed(
-        4
-      )} to ${targetVolume.toFixed(4)} over ${duckDuration}ms`
+      `${MODULE_ID} | 🎚️ ${wasDucked ? "Gliding" : "Ducking"} to ${formatLevels(
+        targetLevels
+      )} over ${duckDuration}ms`
     );
   }
 
   isDucked = true;
+  duckLevels = targetLevels;
+  if (speechStartedAt !== null) {
+    recordSpeechToDuck(performance.now() - speechStartedAt);
+    speechStartedAt = null;
+  }
+  Hooks.callAll("discordDucker.duck", getDuckerState());
 
-  // Smooth fade to ducked volume
-  await fadeVolume(currentVolume, targetVolume, duckDuration);
+  // Already ducked: glide to the new depth from wherever the volume is now
+  await fadeVolume(targetLevels, duckDuration, {
+    curve: wasDucked ? "glide" : getSetting("attackCurve"),
+  });
 }
 
 async function unduckVolume() {
   const debugEnabled = getSetting("debugLogging");
-  // Check if user manually changed volume while ducked
-  checkForManualVolumeChange();
 
   if (!isDucked) {
     console.log(`${MODULE_ID} | ⭕ Not ducked, skipping`);
     return;
   }
 
-  const currentVolume = game.settings.get("core", "globalPlaylistVolume");
-  const unduckDelay = getSetting("unduckDelayMs");
-  const unduckDuration = getSetting("unduckDurationMs");
+  const unduckDelay = getTuning("unduckDelayMs");
+  const unduckDuration = getTuning("unduckDurationMs");
 
   // Set state BEFORE fade so incoming duck commands can interrupt
   isDucked = false;
 
   // Wait for delay before starting fade (if configured)
   if (unduckDelay > 0) {
-    const debugEnabled = getSetting("debugLogging");
     if (debugEnabled) {
       console.log(
         `${MODULE_ID} | ⏳ Waiting ${unduckDelay}ms before unducking...`
@@ -605,7 +3319,6 @@ async function unduckVolume() {
 
     // Check if we got re-ducked during the delay
     if (isDucked) {
-      const debugEnabled = getSetting("debugLogging");
       if (debugEnabled) {
         console.log(
           `${MODULE_ID} | ⏸️ Re-ducked during delay, aborting unduck`
@@ -614,28 +3327,71 @@ async function unduckVolume() {
       return;
     }
   }
+
+  duckLevels = mapChannels(() => 1);
+  Hooks.callAll("discordDucker.unduck", getDuckerState());
   if (debugEnabled) {
     console.log(
-      `${MODULE_ID} | 🎚️ Unducking from ${currentVolume.toFixed(
-        4
-      )} to ${originalVolume.toFixed(4)} over ${unduckDuration}ms`
+      `${MODULE_ID} | 🎚️ Unducking from ${formatLevels(
+        getCurrentDuckLevels()
+      )} over ${unduckDuration}ms`
     );
   }
 
-  // Smooth fade back to original volume
-  await fadeVolume(currentVolume, originalVolume, unduckDuration);
+  // Smooth fade back to full level
+  await fadeVolume(duckLevels, unduckDuration, {
+    curve: getSetting("releaseCurve"),
+  });
+}
+
+// ============================================================================
+// VOLUME SLIDER INDICATOR
+// ============================================================================
+
+/**
+ * Show the effective (ducked) volume on the core volume sliders without
+ * writing to their settings
+ */
+function updateVolumeIndicators(levels) {
+  for (const [key, { volumeSetting }] of Object.entries(DUCK_CHANNELS)) {
+    const level = levels[key];
+    const ducked = level < 0.999;
+    const volume = game.settings.get("core", volumeSetting);
+    for (const slider of document.querySelectorAll(
+      `[name="${volumeSetting}"]`
+    )) {
+      slider.classList.toggle("ducker-ducked", ducked);
+      slider.style.setProperty("--ducker-level", volume * level);
+      if (ducked) {
+        slider.dataset.tooltip = game.i18n.format("DISCORD_DUCKER.DuckedTo", {
+          percent: (volume * level * 100).toFixed(0),
+        });
+      } else {
+        delete slider.dataset.tooltip;
+      }
+    }
+  }
 }
 
+// Re-apply the indicator whenever the playlist sidebar re-renders
+Hooks.on("renderPlaylistDirectory", () => {
+  updateVolumeIndicators(getCurrentDuckLevels());
+});
+
+// Keep the indicator in step when the user moves a volume slider while ducked
+Hooks.on("clientSettingChanged", (key) => {
+  const isVolumeSetting = Object.values(DUCK_CHANNELS).some(
+    ({ volumeSetting }) => key === `core.${volumeSetting}`
+  );
+  if (isVolumeSetting) updateVolumeIndicators(getCurrentDuckLevels());
+});
+
 // ============================================================================
 // CLEANUP
 // ============================================================================
 window.addEventListener("beforeunload", () => {
-  if (websocket) {
-    console.log(`${MODULE_ID} | 🔌 Closing WebSocket connection...`);
-    websocket.close();
-  }
-  if (reconnectTimeout) {
-    clearTimeout(reconnectTimeout);
+  for (const source of voiceSources.values()) {
+    source.drop();
   }
   if (currentFade) {
     cancelAnimationFrame(currentFade.animationId);
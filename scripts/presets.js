@@ -0,0 +1,410 @@
+/**
+ * foundry-discord-ducker Presets
+ *
+ * Built-in and custom ducking presets, JSON export and import, and the
+ * GM's table default.
+ *
+ * @module foundry-discord-ducker/presets
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { CALIBRATION_KEYS } from "./calibration.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// PRESETS
+// ============================================================================
+
+const PRESET_FILE_TYPE = `${MODULE_ID}.preset`;
+const TABLE_DEFAULT_ID = "table";
+
+/**
+ * Presets every table has. Settings they leave out use their defaults.
+ */
+const BUILT_IN_PRESETS = {
+  subtle: {
+    name: "DISCORD_DUCKER.Presets.BuiltIn.subtle",
+    settings: {
+      duckReductionPercent: 15,
+      ambientReductionPercent: 10,
+      interfaceReductionPercent: 10,
+      duckDurationMs: 800,
+      attackCurve: "s-curve",
+      unduckDelayMs: 500,
+      unduckDurationMs: 2000,
+      releaseCurve: "s-curve",
+    },
+  },
+  podcast: {
+    name: "DISCORD_DUCKER.Presets.BuiltIn.podcast",
+    settings: {
+      duckReductionPercent: 60,
+      ambientReductionPercent: 50,
+      interfaceReductionPercent: 30,
+      duckDurationMs: 200,
+      unduckDelayMs: 800,
+      unduckDurationMs: 1500,
+    },
+  },
+  "heavy-roleplay": {
+    name: "DISCORD_DUCKER.Presets.BuiltIn.heavy-roleplay",
+    settings: {
+      duckReductionPercent: 40,
+      ambientReductionPercent: 30,
+      interfaceReductionPercent: 30,
+      duckMode: "graduated",
+      maxReductionPercent: 85,
+      speakersForMaxDuck: 3,
+      duckDurationMs: 300,
+      attackCurve: "logarithmic",
+      unduckDelayMs: 1500,
+      unduckDurationMs: 2500,
+      releaseCurve: "s-curve",
+    },
+  },
+};
+
+let applyingPreset = false; // Settings being written by a preset, not by hand
+
+/**
+ * Settings a preset holds: the same tuning the calibration window previews
+ */
+function getPresetKeys() {
+  return CALIBRATION_KEYS;
+}
+
+/**
+ * Every preset this client can apply, keyed by ID
+ */
+function getPresets() {
+  const presets = {};
+  for (const [id, preset] of Object.entries(BUILT_IN_PRESETS)) {
+    presets[id] = { ...preset, id, builtIn: true };
+  }
+  for (const [id, preset] of Object.entries(game.settings.get(MODULE_ID, "customPresets"))) {
+    presets[id] = { ...preset, id, builtIn: false };
+  }
+  const tableDefault = getTableDefault();
+  if (tableDefault) presets[TABLE_DEFAULT_ID] = tableDefault;
+  return presets;
+}
+
+/**
+ * The GM's default preset, or null if there is none
+ */
+function getTableDefault() {
+  const preset = game.settings.get(MODULE_ID, "tableDefaultPreset");
+  if (!preset?.settings) return null;
+  return { ...preset, id: TABLE_DEFAULT_ID, builtIn: false };
+}
+
+/**
+ * Keep the known, in-range values of a preset's settings
+ * @returns {{settings: object, rejected: string[]}}
+ */
+function validatePresetSettings(settings) {
+  const valid = {};
+  const rejected = [];
+  for (const [key, value] of Object.entries(settings ?? {})) {
+    const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+    const known = getPresetKeys().includes(key);
+    const ok =
+      known &&
+      (config.choices
+        ? value in config.choices
+        : typeof value === "number" &&
+          value >= config.range.min &&
+          value <= config.range.max);
+    if (ok) valid[key] = value;
+    else rejected.push(key);
+  }
+  return { settings: valid, rejected };
+}
+
+/**
+ * Write a preset's values into the client settings
+ * @param {object} preset
+ * @param {object} [options]
+ * @param {boolean} [options.follow] Keep following the table default afterwards
+ */
+async function applyPreset(preset, { follow = false } = {}) {
+  applyingPreset = true;
+  try {
+    for (const key of getPresetKeys()) {
+      const value =
+        preset.settings[key] ?? game.settings.settings.get(`${MODULE_ID}.${key}`).default;
+      if (game.settings.get(MODULE_ID, key) !== value) {
+        await game.settings.set(MODULE_ID, key, value);
+      }
+    }
+    await game.settings.set(MODULE_ID, "activePreset", preset.id);
+    await game.settings.set(MODULE_ID, "followTableDefault", follow);
+  } finally {
+    applyingPreset = false;
+  }
+  console.log(`${MODULE_ID} | 🎛️ Applied preset: ${game.i18n.localize(preset.name)}`);
+}
+
+/**
+ * Take the table default, unless this player has chosen their own settings
+ */
+export async function adoptTableDefault() {
+  const tableDefault = getTableDefault();
+  if (!tableDefault || !game.settings.get(MODULE_ID, "followTableDefault")) return;
+  await applyPreset(tableDefault, { follow: true });
+}
+
+async function resetToTableDefault() {
+  const tableDefault = getTableDefault();
+  if (tableDefault) {
+    await applyPreset(tableDefault, { follow: true });
+    return;
+  }
+  // No table default - back to the module's own defaults
+  await applyPreset(
+    { id: "", name: "DISCORD_DUCKER.Presets.ModuleDefaults", settings: {} },
+    { follow: true }
+  );
+}
+
+/**
+ * The current settings as a preset
+ */
+function getCurrentPresetSettings() {
+  return Object.fromEntries(
+    getPresetKeys().map((key) => [key, game.settings.get(MODULE_ID, key)])
+  );
+}
+
+async function saveCustomPreset(name, settings) {
+  const id = foundry.utils.randomID();
+  const customPresets = game.settings.get(MODULE_ID, "customPresets");
+  await game.settings.set(MODULE_ID, "customPresets", {
+    ...customPresets,
+    [id]: { name, settings },
+  });
+  return id;
+}
+
+async function deleteCustomPreset(id) {
+  const { [id]: removed, ...customPresets } = game.settings.get(MODULE_ID, "customPresets");
+  if (!removed) return;
+  await game.settings.set(MODULE_ID, "customPresets", customPresets);
+  if (game.settings.get(MODULE_ID, "activePreset") === id) {
+    await game.settings.set(MODULE_ID, "activePreset", "");
+  }
+}
+
+function exportPreset({ name, settings }) {
+  name = game.i18n.localize(name);
+  foundry.utils.saveDataToFile(
+    JSON.stringify({ type: PRESET_FILE_TYPE, name, settings }, null, 2),
+    "application/json",
+    `${MODULE_ID}-preset-${name.slugify()}.json`
+  );
+}
+
+/**
+ * Read presets from an exported JSON file into the custom presets
+ * @returns {Promise<string[]>} IDs of the imported presets
+ */
+async function importPresets(file) {
+  let data;
+  try {
+    data = JSON.parse(await foundry.utils.readTextFromFile(file));
+  } catch (err) {
+    ui.notifications.error(
+      game.i18n.format("DISCORD_DUCKER.Notifications.PresetNotJson", { file: file.name })
+    );
+    return [];
+  }
+
+  const ids = [];
+  for (const entry of [data].flat()) {
+    if (entry?.type !== PRESET_FILE_TYPE || typeof entry.name !== "string") {
+      ui.notifications.error(
+        game.i18n.format("DISCORD_DUCKER.Notifications.PresetInvalid", { file: file.name })
+      );
+      continue;
+    }
+    const { settings, rejected } = validatePresetSettings(entry.settings);
+    if (rejected.length) {
+      ui.notifications.warn(
+        game.i18n.format("DISCORD_DUCKER.Notifications.PresetSkipped", {
+          name: entry.name,
+          settings: rejected.join(", "),
+        })
+      );
+    }
+    ids.push(await saveCustomPreset(entry.name, settings));
+  }
+  if (ids.length) {
+    ui.notifications.info(
+      game.i18n.format("DISCORD_DUCKER.Notifications.PresetsImported", { count: ids.length })
+    );
+  }
+  return ids;
+}
+
+// A setting changed by hand (or by calibration) means the player has their own tuning
+Hooks.on("clientSettingChanged", (key) => {
+  if (applyingPreset || !game.ready) return;
+  const [namespace, setting] = key.split(".");
+  if (namespace !== MODULE_ID || !getPresetKeys().includes(setting)) return;
+  if (game.settings.get(MODULE_ID, "followTableDefault")) {
+    game.settings.set(MODULE_ID, "followTableDefault", false);
+  }
+  if (game.settings.get(MODULE_ID, "activePreset")) {
+    game.settings.set(MODULE_ID, "activePreset", "");
+  }
+});
+
+// New players start on the table default
+Hooks.once("ready", () => adoptTableDefault());
+
+/**
+ * Preset manager
+ */
+export class PresetConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-presets`,
+    tag: "form",
+    classes: [MODULE_ID],
+    window: {
+      title: "DISCORD_DUCKER.Presets.Title",
+      icon: "fa-solid fa-sliders",
+    },
+    position: { width: 520, height: "auto" },
+    actions: {
+      apply: PresetConfig.#onApply,
+      save: PresetConfig.#onSave,
+      delete: PresetConfig.#onDelete,
+      export: PresetConfig.#onExport,
+      import: PresetConfig.#onImport,
+      makeDefault: PresetConfig.#onMakeDefault,
+      clearDefault: PresetConfig.#onClearDefault,
+      reset: PresetConfig.#onReset,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/presets.hbs` },
+  };
+
+  #selected = null;
+
+  async _prepareContext(options) {
+    const presets = getPresets();
+    const activeId = game.settings.get(MODULE_ID, "activePreset");
+    if (!(this.#selected in presets)) this.#selected = activeId in presets ? activeId : "subtle";
+    const selected = presets[this.#selected];
+    const tableDefault = getTableDefault();
+    const i18n = game.i18n;
+
+    return {
+      presets: Object.fromEntries(
+        Object.entries(presets).map(([id, { name, builtIn }]) => [
+          id,
+          id === TABLE_DEFAULT_ID
+            ? i18n.format("DISCORD_DUCKER.Presets.TableDefaultOption", {
+                name: i18n.localize(name),
+              })
+            : builtIn
+            ? i18n.localize(name)
+            : i18n.format("DISCORD_DUCKER.Presets.CustomOption", { name }),
+        ])
+      ),
+      selectedId: this.#selected,
+      values: getPresetKeys().map((key) => {
+        const { name, choices, default: defaultValue } = game.settings.settings.get(
+          `${MODULE_ID}.${key}`
+        );
+        const value = selected.settings[key] ?? defaultValue;
+        return {
+          name: i18n.localize(name),
+          value: choices?.[value] ? i18n.localize(choices[value]) : value,
+        };
+      }),
+      canDelete: !selected.builtIn && selected.id !== TABLE_DEFAULT_ID,
+      following: game.settings.get(MODULE_ID, "followTableDefault"),
+      activeName: presets[activeId] ? i18n.localize(presets[activeId].name) : null,
+      tableDefaultName: tableDefault ? i18n.localize(tableDefault.name) : null,
+      isGM: game.user.isGM,
+    };
+  }
+
+  _onChangeForm(formConfig, event) {
+    super._onChangeForm(formConfig, event);
+    if (event.target.name !== "preset") return;
+    this.#selected = event.target.value;
+    this.render();
+  }
+
+  get #selectedPreset() {
+    return getPresets()[this.#selected];
+  }
+
+  static async #onApply() {
+    await applyPreset(this.#selectedPreset);
+    this.render();
+  }
+
+  static async #onSave() {
+    const name = this.element.querySelector("[name=presetName]").value.trim();
+    if (!name) {
+      ui.notifications.warn("DISCORD_DUCKER.Notifications.PresetNameMissing", {
+        localize: true,
+      });
+      return;
+    }
+    this.#selected = await saveCustomPreset(name, getCurrentPresetSettings());
+    await game.settings.set(MODULE_ID, "activePreset", this.#selected);
+    this.render();
+  }
+
+  static async #onDelete() {
+    await deleteCustomPreset(this.#selected);
+    this.#selected = null;
+    this.render();
+  }
+
+  static #onExport() {
+    exportPreset(this.#selectedPreset);
+  }
+
+  static #onImport() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const [file] = input.files;
+      if (!file) return;
+      const [id] = await importPresets(file);
+      if (id) this.#selected = id;
+      this.render();
+    });
+    input.click();
+  }
+
+  static async #onMakeDefault() {
+    const { name, settings } = this.#selectedPreset;
+    await game.settings.set(MODULE_ID, "tableDefaultPreset", { name, settings });
+    ui.notifications.info(
+      game.i18n.format("DISCORD_DUCKER.Notifications.TableDefaultSet", {
+        name: game.i18n.localize(name),
+      })
+    );
+    this.render();
+  }
+
+  static async #onClearDefault() {
+    await game.settings.set(MODULE_ID, "tableDefaultPreset", {});
+    this.render();
+  }
+
+  static async #onReset() {
+    await resetToTableDefault();
+    this.render();
+  }
+}
@@ -0,0 +1,1390 @@
+/**
+ * foundry-discord-ducker Voice Sources
+ *
+ * Connections to the Discord bot and other voice activity sources, the
+ * protocol they speak and the form for configuring them.
+ *
+ * @module foundry-discord-ducker/sources
+ */
+
+import {
+  MODULE_ID,
+  BACKOFF_BASE_MS,
+  BACKOFF_MAX_MS,
+  HEARTBEAT_CHECK_INTERVAL_MS,
+  HANDSHAKE_TIMEOUT_MS,
+  REAUTH_MARGIN_MS,
+  HTTP_POLL_INTERVAL_MS,
+  HTTP_POLL_TIMEOUT_MS,
+} from "./constants.js";
+import {
+  getSetting,
+  relayedSources,
+  sourceActivity,
+  isRelayMode,
+  isRelayClient,
+  relayBotMessage,
+  broadcastRelayStatus,
+  syncBotEvents,
+  usesDiscordSource,
+  updateSpeechLevel,
+  reapplyVoiceDuck,
+  clearVoiceActivity,
+  handleSpeakerUpdate,
+  isLongTalkJudge,
+} from "./foundry-discord-ducker.js";
+import {
+  recordEvent,
+  startLatencyProbe,
+  stopLatencyProbe,
+  handleLatencyPong,
+} from "./diagnostics.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// STATE
+// ============================================================================
+export const voiceSources = new Map(); // Source ID -> VoiceSource this client is connected to
+const insecureTokenWarnings = new Set(); // URLs already warned about sending a token unencrypted
+const legacyBotWarnings = new Set(); // URLs already warned about running an outdated bot
+
+// ============================================================================
+// CONNECTION STATE
+// ============================================================================
+export const ConnectionState = Object.freeze({
+  CONNECTING: "connecting",
+  OPEN: "open",
+  DEGRADED: "degraded", // Open, but the source has gone quiet
+  BACKING_OFF: "backing-off", // Waiting to retry after a drop
+  AUTH_FAILED: "auth-failed", // Rejected - waits for new settings
+  INCOMPATIBLE: "incompatible", // Protocol versions don't overlap - waits for an update
+  DISABLED: "disabled",
+});
+
+/**
+ * Healthiest first, for summarising several sources in one state
+ */
+const CONNECTION_STATE_ORDER = [
+  ConnectionState.OPEN,
+  ConnectionState.DEGRADED,
+  ConnectionState.CONNECTING,
+  ConnectionState.BACKING_OFF,
+  ConnectionState.AUTH_FAILED,
+  ConnectionState.INCOMPATIBLE,
+  ConnectionState.DISABLED,
+];
+
+const CONNECTION_STATE_LABELS = {
+  [ConnectionState.CONNECTING]: "DISCORD_DUCKER.Connection.connecting",
+  [ConnectionState.OPEN]: "DISCORD_DUCKER.Connection.open",
+  [ConnectionState.DEGRADED]: "DISCORD_DUCKER.Connection.degraded",
+  [ConnectionState.BACKING_OFF]: "DISCORD_DUCKER.Connection.backingOff",
+  [ConnectionState.AUTH_FAILED]: "DISCORD_DUCKER.Connection.authFailed",
+  [ConnectionState.INCOMPATIBLE]: "DISCORD_DUCKER.Connection.incompatible",
+  [ConnectionState.DISABLED]: "DISCORD_DUCKER.Connection.disabled",
+};
+
+export function getConnectionStateLabel(state) {
+  return game.i18n.localize(
+    CONNECTION_STATE_LABELS[state] ?? "DISCORD_DUCKER.Connection.unknown"
+  );
+}
+
+export function isConnectedState(state) {
+  return state === ConnectionState.OPEN || state === ConnectionState.DEGRADED;
+}
+
+/**
+ * Whether any voice source is connected
+ */
+export function isBotConnected() {
+  return [...voiceSources.values()].some((source) => source.isConnected);
+}
+
+/**
+ * The sources behind this client's voice activity: its own, or the GM's in
+ * GM Relay mode
+ * @returns {Array<{id: string, type: string, label: string, state: string}>}
+ */
+export function getStatusSources() {
+  if (isRelayMode() && !isRelayClient()) return relayedSources;
+  return [...voiceSources.values()].map(({ id, type, label, state }) => ({
+    id,
+    type,
+    label,
+    state,
+  }));
+}
+
+/**
+ * Overall connection state: the healthiest source wins
+ */
+export function getConnectionState() {
+  let best = ConnectionState.DISABLED;
+  for (const source of getStatusSources()) {
+    if (CONNECTION_STATE_ORDER.indexOf(source.state) < CONNECTION_STATE_ORDER.indexOf(best)) {
+      best = source.state;
+    }
+  }
+  return best;
+}
+
+// ============================================================================
+// VOICE SOURCES
+// ============================================================================
+
+/**
+ * The bot configured in the main module settings
+ */
+export const PRIMARY_SOURCE_ID = "primary";
+
+const SourceType = Object.freeze({
+  WEBSOCKET: "websocket",
+  EVENT_STREAM: "sse",
+  HTTP: "http",
+});
+
+const SOURCE_TYPE_LABELS = {
+  [SourceType.WEBSOCKET]: "DISCORD_DUCKER.SourceType.websocket",
+  [SourceType.EVENT_STREAM]: "DISCORD_DUCKER.SourceType.sse",
+  [SourceType.HTTP]: "DISCORD_DUCKER.SourceType.http",
+};
+
+/**
+ * A connection that reports voice activity. Subclasses own the transport;
+ * the state machine, backoff and heartbeat watchdog are shared.
+ */
+class VoiceSource {
+  constructor({ id, type, label, url, token }) {
+    this.id = id;
+    this.type = type;
+    this.label = label || url;
+    this.url = url;
+    this.token = token?.trim() ?? "";
+    this.state = ConnectionState.DISABLED;
+    this.reconnectAttempts = 0; // Failed attempts since the last successful connection
+    this.hasConnected = false; // Whether the current run of attempts ever got through
+    this.lastMessageAt = 0; // performance.now() of the last message
+    this.botInfo = null; // { protocol, version, capabilities } once the handshake completes
+    this.handshakeTimeout = null;
+    this.heartbeatInterval = null;
+    this.reconnectTimeout = null;
+    this.reauthTimeout = null; // Refreshes the session before the token expires
+    this.authenticated = false; // Whether the bot accepted the token on this connection
+    this.tokenExpired = false; // Why the last authentication failed
+    this.authUnanswered = false; // Rejected before the bot answered AUTH or HELLO
+    this.latencyInterval = null;
+    this.pendingPings = new Map(); // Probe ID -> performance.now() when sent
+    this.rttSamples = []; // Recent round-trip times in milliseconds
+  }
+
+  /**
+   * Whether the source can't connect without a token
+   */
+  get requiresToken() {
+    return false;
+  }
+
+  get isConnected() {
+    return isConnectedState(this.state);
+  }
+
+  /**
+   * Whether the bot announced a capability in its WELCOME
+   */
+  hasCapability(capability) {
+    return this.botInfo?.capabilities.has(capability) ?? false;
+  }
+
+  /**
+   * Whether a new configuration needs a fresh connection
+   */
+  matches(config) {
+    return (
+      config.type === this.type &&
+      config.url === this.url &&
+      (config.token?.trim() ?? "") === this.token
+    );
+  }
+
+  /**
+   * Whether a new token can be sent over the open connection instead of
+   * reconnecting
+   */
+  canReauthenticate(config) {
+    return false;
+  }
+
+  /**
+   * Open the transport. Subclasses call this first and stop if it fails.
+   * @returns {boolean} Whether the token is usable
+   */
+  connect() {
+    this.reconnectTimeout = null;
+    this.authenticated = false;
+    this.tokenExpired = false;
+    this.authUnanswered = false;
+
+    const tokenProblem = getTokenProblem(this.token, this.requiresToken);
+    if (tokenProblem) {
+      console.warn(`${MODULE_ID} | ⚠️ Token for ${this.label} ${tokenProblem}`);
+      ui.notifications.warn(
+        this.token
+          ? game.i18n.format("DISCORD_DUCKER.Notifications.TokenInvalid", {
+              label: this.label,
+              problem: tokenProblem,
+            })
+          : game.i18n.format("DISCORD_DUCKER.Notifications.TokenMissing", {
+              label: this.label,
+            })
+      );
+      this.setState(ConnectionState.DISABLED);
+      return false;
+    }
+    warnIfTokenUnencrypted(this);
+    return true;
+  }
+
+  /**
+   * Send a message to the other end, if the transport can
+   * @returns {boolean} Whether the message was sent
+   */
+  send(message) {
+    return false;
+  }
+
+  /**
+   * Tear down the transport and any pending retry without reacting to the
+   * close. Subclasses close their transport after calling this.
+   */
+  drop() {
+    this.stopHeartbeatWatchdog();
+    stopLatencyProbe(this);
+    clearHandshake(this);
+    clearReauth(this);
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+  }
+
+  /**
+   * Close on purpose, without scheduling a reconnect
+   */
+  disconnect() {
+    if (this.state !== ConnectionState.DISABLED) {
+      console.log(`${MODULE_ID} | 🔌 Closing connection to ${this.label}...`);
+    }
+    this.drop();
+    this.reconnectAttempts = 0;
+    this.setState(ConnectionState.DISABLED);
+  }
+
+  /**
+   * Move to a new state. Toasts only fire on meaningful transitions, so a
+   * source that stays down doesn't spam the user on every retry.
+   */
+  setState(state) {
+    const previous = this.state;
+    if (state === previous) return;
+    this.state = state;
+    Hooks.callAll("discordDucker.connectionChange", state, previous, this.id);
+    recordEvent("connection", { source: this.id, from: previous, to: state });
+
+    const debugEnabled = getSetting("debugLogging");
+    if (debugEnabled) {
+      console.log(`${MODULE_ID} | 🔀 ${this.label}: ${previous} → ${state}`);
+    }
+
+    switch (state) {
+      case ConnectionState.OPEN:
+        if (previous === ConnectionState.DEGRADED) {
+          console.log(`${MODULE_ID} | 💓 Heartbeat from ${this.label} recovered`);
+          break;
+        }
+        ui.notifications.info(
+          game.i18n.format(
+            this.hasConnected
+              ? "DISCORD_DUCKER.Notifications.Reconnected"
+              : "DISCORD_DUCKER.Notifications.Connected",
+            { label: this.label }
+          )
+        );
+        this.hasConnected = true;
+        break;
+
+      case ConnectionState.DEGRADED:
+        console.warn(`${MODULE_ID} | 💔 No heartbeat from ${this.label}`);
+        break;
+
+      case ConnectionState.BACKING_OFF:
+        // Only warn when an established connection drops, not on every retry
+        if (isConnectedState(previous)) {
+          ui.notifications.warn(
+            game.i18n.format("DISCORD_DUCKER.Notifications.Disconnected", {
+              label: this.label,
+            })
+          );
+        }
+        break;
+
+      case ConnectionState.AUTH_FAILED:
+        ui.notifications.error(
+          game.i18n.format(
+            this.tokenExpired
+              ? "DISCORD_DUCKER.Notifications.TokenExpired"
+              : this.authUnanswered
+              ? "DISCORD_DUCKER.Notifications.AuthFailedOrOutdated"
+              : "DISCORD_DUCKER.Notifications.AuthFailed",
+            { label: this.label, protocol: AUTH_PROTOCOL_VERSION }
+          )
+        );
+        break;
+
+      case ConnectionState.INCOMPATIBLE:
+        // The handshake already explained which side needs updating
+        break;
+
+      case ConnectionState.DISABLED:
+        this.hasConnected = false;
+        break;
+    }
+
+    // Don't stay ducked on activity from a source that is gone
+    if (!this.isConnected && state !== ConnectionState.DEGRADED) {
+      clearVoiceActivity(this.id);
+    }
+    broadcastRelayStatus();
+  }
+
+  /**
+   * The transport is up and ready to receive activity
+   */
+  onOpen() {
+    console.log(`${MODULE_ID} | ✅ Connected to ${this.label}!`);
+    this.reconnectAttempts = 0;
+    this.startHeartbeatWatchdog();
+    this.setState(ConnectionState.OPEN);
+  }
+
+  /**
+   * Any sign of life from the source, including keep-alives
+   */
+  markAlive() {
+    this.lastMessageAt = performance.now();
+    if (this.state === ConnectionState.DEGRADED) {
+      this.setState(ConnectionState.OPEN);
+    }
+  }
+
+  /**
+   * Parse and handle one raw JSON message from the source
+   * @param {string} data
+   * @param {number} [receivedAt] performance.now() when the message arrived
+   */
+  receive(data, receivedAt = performance.now()) {
+    this.markAlive();
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error(`${MODULE_ID} | ❌ Failed to parse message:`, error);
+      sendProtocolError(this, ProtocolError.BAD_MESSAGE, "Message is not valid JSON");
+      return;
+    }
+
+    // Rotated tokens must not end up in the console or a bug report
+    const logged = redactToken(message);
+    recordEvent("received", { source: this.id, message: logged });
+    const debugEnabled = getSetting("debugLogging");
+    if (debugEnabled) {
+      console.log(`${MODULE_ID} | 📨 Received message from ${this.label}:`, logged);
+    }
+    relayBotMessage(message, this.id);
+    handleMessage(message, this.id, receivedAt);
+  }
+
+  scheduleReconnect() {
+    const delay = getBackoffDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.setState(ConnectionState.BACKING_OFF);
+
+    console.log(
+      `${MODULE_ID} | ⏳ Will attempt to reconnect to ${this.label} in ${(
+        delay / 1000
+      ).toFixed(1)} seconds (attempt ${this.reconnectAttempts})...`
+    );
+    this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Watch for a source that has silently stopped sending anything
+   */
+  startHeartbeatWatchdog() {
+    this.stopHeartbeatWatchdog();
+    this.lastMessageAt = performance.now();
+
+    this.heartbeatInterval = setInterval(() => {
+      const timeoutMs = getSetting("heartbeatTimeoutSec") * 1000;
+      if (!timeoutMs || !this.isConnected) return;
+
+      const silenceMs = performance.now() - this.lastMessageAt;
+      if (silenceMs >= timeoutMs) {
+        console.warn(
+          `${MODULE_ID} | 💀 No heartbeat from ${this.label} for ${(
+            silenceMs / 1000
+          ).toFixed(0)}s, reconnecting`
+        );
+        this.drop();
+        this.scheduleReconnect();
+      } else if (silenceMs >= timeoutMs / 2) {
+        this.setState(ConnectionState.DEGRADED);
+      }
+    }, HEARTBEAT_CHECK_INTERVAL_MS);
+  }
+
+  stopHeartbeatWatchdog() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  /**
+   * Authorization header for HTTP-based sources
+   */
+  getHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+}
+
+/**
+ * A Discord bot speaking the full protocol over a WebSocket
+ */
+class WebSocketSource extends VoiceSource {
+  socket = null;
+  legacyAuth = false; // Token goes in the URL, for a bot older than protocol 3
+
+  get requiresToken() {
+    return true;
+  }
+
+  canReauthenticate(config) {
+    return (
+      this.isConnected &&
+      config.type === this.type &&
+      config.url === this.url &&
+      (this.botInfo?.protocol ?? 0) >= AUTH_PROTOCOL_VERSION &&
+      !getTokenProblem(config.token?.trim() ?? "", true)
+    );
+  }
+
+  connect() {
+    if (!super.connect()) return;
+
+    // The token goes in an AUTH message, never in the URL where proxies and
+    // browser history would keep it
+    console.log(
+      `${MODULE_ID} | 🔌 Attempting to connect to ${this.label} at ${this.url}...`
+    );
+    this.setState(ConnectionState.CONNECTING);
+
+    try {
+      const socket = new WebSocket(
+        this.legacyAuth ? getLegacyAuthUrl(this.url, this.token) : this.url
+      );
+      this.socket = socket;
+
+      // The source counts as open once the handshake succeeds or times out
+      socket.onopen = () => {
+        if (!this.legacyAuth) sendAuth(this);
+        sendHello(this);
+      };
+
+      // The event's timestamp includes any wait for a busy main thread
+      socket.onmessage = (event) => this.receive(event.data, event.timeStamp);
+
+      socket.onclose = (event) => {
+        // Bots older than protocol 3 only read the token from the URL, so
+        // they turn us away before answering AUTH or HELLO
+        const answered = this.authenticated || this.botInfo !== null;
+        this.socket = null;
+        this.stopHeartbeatWatchdog();
+        clearHandshake(this);
+
+        const errorCode = CLOSE_CODE_ERRORS[event.code];
+        switch (errorCode) {
+          case ProtocolError.TOKEN_EXPIRED:
+          case ProtocolError.AUTH_FAILED:
+            console.error(
+              `${MODULE_ID} | 🔒 Authentication with ${this.label} failed - check your token${
+                answered ? "" : `, or update the bot to protocol ${AUTH_PROTOCOL_VERSION}`
+              }`
+            );
+            // Deprecated: retry the way bots before protocol 3 expect
+            if (!answered && !this.legacyAuth && getSetting("legacyTokenInUrl")) {
+              console.warn(
+                `${MODULE_ID} | 🔓 ${this.label} turned down AUTH, retrying with the token in the URL`
+              );
+              this.legacyAuth = true;
+              this.connect();
+              return;
+            }
+            this.tokenExpired = errorCode === ProtocolError.TOKEN_EXPIRED;
+            this.authUnanswered = !answered;
+            this.setState(ConnectionState.AUTH_FAILED);
+            return; // Don't auto-reconnect on auth failure
+
+          case ProtocolError.INCOMPATIBLE_VERSION:
+            reportIncompatibleBot(this, event.reason);
+            return; // Reconnecting won't help until one side is updated
+
+          case ProtocolError.RATE_LIMITED:
+            // Back off harder than for an ordinary drop
+            this.reconnectAttempts += 2;
+            break;
+        }
+
+        console.log(
+          `${MODULE_ID} | 🔌 Disconnected from ${this.label} (code: ${event.code}${
+            errorCode ? `, ${errorCode}` : ""
+          }${event.reason ? `: ${event.reason}` : ""})`
+        );
+        this.scheduleReconnect();
+      };
+
+      socket.onerror = (error) => {
+        console.error(`${MODULE_ID} | ❌ WebSocket error (${this.label}):`, error);
+      };
+    } catch (error) {
+      console.error(`${MODULE_ID} | ❌ Failed to create WebSocket:`, error);
+      this.socket = null;
+      this.scheduleReconnect();
+    }
+  }
+
+  send(message) {
+    if (this.socket?.readyState !== WebSocket.OPEN) return false;
+    this.socket.send(JSON.stringify(message));
+    recordEvent("sent", { source: this.id, message: redactToken(message) });
+    return true;
+  }
+
+  drop() {
+    super.drop();
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * A one-way Server-Sent Events stream. Read with fetch rather than
+ * EventSource so the token can go in a header.
+ */
+class EventStreamSource extends VoiceSource {
+  #abortController = null;
+
+  connect() {
+    if (!super.connect()) return;
+    console.log(
+      `${MODULE_ID} | 🔌 Attempting to connect to ${this.label} at ${this.url}...`
+    );
+    this.setState(ConnectionState.CONNECTING);
+    this.#abortController = new AbortController();
+    this.#read(this.#abortController.signal);
+  }
+
+  async #read(signal) {
+    try {
+      const response = await fetch(this.url, {
+        headers: { Accept: "text/event-stream", ...this.getHeaders() },
+        cache: "no-store",
+        signal,
+      });
+      if (response.status === 401 || response.status === 403) {
+        this.drop();
+        this.setState(ConnectionState.AUTH_FAILED);
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      this.onOpen();
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error("Stream ended");
+        buffer += value;
+
+        // Events are separated by a blank line
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        for (const event of events) this.#dispatch(event);
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+      console.log(`${MODULE_ID} | 🔌 Lost ${this.label}: ${error.message}`);
+      this.drop();
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Handle one event block. Comment lines are keep-alives.
+   */
+  #dispatch(block) {
+    const data = block
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).replace(/^ /, ""))
+      .join("\n");
+    if (data) this.receive(data);
+    else this.markAlive();
+  }
+
+  drop() {
+    super.drop();
+    this.#abortController?.abort();
+    this.#abortController = null;
+  }
+}
+
+/**
+ * A local HTTP endpoint polled for the current voice activity, e.g. a small
+ * script watching a microphone. It answers with a DUCK or UNDUCK message.
+ */
+class HttpPollSource extends VoiceSource {
+  #abortController = null;
+  #pollTimeout = null;
+  #lastBody = null;
+
+  connect() {
+    if (!super.connect()) return;
+    console.log(`${MODULE_ID} | 🔌 Polling ${this.label} at ${this.url}...`);
+    this.setState(ConnectionState.CONNECTING);
+    this.#abortController = new AbortController();
+    this.#lastBody = null;
+    this.#poll(this.#abortController.signal);
+  }
+
+  async #poll(signal) {
+    this.#pollTimeout = null;
+    try {
+      const response = await fetch(this.url, {
+        headers: { Accept: "application/json", ...this.getHeaders() },
+        cache: "no-store",
+        signal: AbortSignal.any([signal, AbortSignal.timeout(HTTP_POLL_TIMEOUT_MS)]),
+      });
+      if (response.status === 401 || response.status === 403) {
+        this.drop();
+        this.setState(ConnectionState.AUTH_FAILED);
+        return;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const body = await response.text();
+
+      if (!this.isConnected) this.onOpen();
+      // Only pass on changes, so an idle endpoint doesn't flood the relay
+      if (body !== this.#lastBody) {
+        this.#lastBody = body;
+        this.receive(body);
+      } else {
+        this.markAlive();
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+      console.log(`${MODULE_ID} | 🔌 Lost ${this.label}: ${error.message}`);
+      this.drop();
+      this.scheduleReconnect();
+      return;
+    }
+    this.#pollTimeout = setTimeout(() => this.#poll(signal), HTTP_POLL_INTERVAL_MS);
+  }
+
+  drop() {
+    super.drop();
+    if (this.#pollTimeout) {
+      clearTimeout(this.#pollTimeout);
+      this.#pollTimeout = null;
+    }
+    this.#abortController?.abort();
+    this.#abortController = null;
+  }
+}
+
+const SOURCE_CLASSES = {
+  [SourceType.WEBSOCKET]: WebSocketSource,
+  [SourceType.EVENT_STREAM]: EventStreamSource,
+  [SourceType.HTTP]: HttpPollSource,
+};
+
+/**
+ * Exponential backoff with jitter, so many clients don't retry in lockstep
+ */
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+/**
+ * Every source this client should connect to: the bot from the main
+ * settings (unless its URL is blank) plus the additional sources
+ */
+function getSourceConfigs() {
+  const configs = [];
+  const websocketUrl = getSetting("websocketUrl").trim();
+  if (websocketUrl) {
+    configs.push({
+      id: PRIMARY_SOURCE_ID,
+      type: SourceType.WEBSOCKET,
+      label: game.i18n.localize("DISCORD_DUCKER.SourceType.primary"),
+      url: websocketUrl,
+      token: getSetting("authToken"),
+    });
+  }
+  for (const config of getSetting("voiceSources")) {
+    if (config.enabled && config.url && SOURCE_CLASSES[config.type]) {
+      configs.push(config);
+    }
+  }
+  return configs;
+}
+
+/**
+ * Whether this client should currently be talking to its sources
+ */
+function shouldConnectSources() {
+  // Foundry A/V alone needs no bot, except to relay for players who use it
+  if (!usesDiscordSource() && !isRelayClient()) return false;
+  if (isRelayMode()) return isRelayClient();
+  // The GM judges long conversations for the table even without ducking
+  return getSetting("enableDucking") || isLongTalkJudge();
+}
+
+/**
+ * Bring the registry in line with the settings and connection mode:
+ * connect new sources, reconnect changed ones and close removed ones
+ */
+export function updateConnectionRole() {
+  const configs = shouldConnectSources() ? getSourceConfigs() : [];
+
+  for (const [id, source] of voiceSources) {
+    const config = configs.find((config) => config.id === id);
+    if (config && source.matches(config)) {
+      source.label = config.label || config.url;
+      continue;
+    }
+    if (config && source.canReauthenticate(config)) {
+      // A new token for the same bot - no need to drop the connection
+      source.label = config.label || config.url;
+      source.token = config.token.trim();
+      sendAuth(source);
+      continue;
+    }
+    voiceSources.delete(id);
+    source.disconnect();
+  }
+
+  for (const config of configs) {
+    if (voiceSources.has(config.id)) continue;
+    const source = new SOURCE_CLASSES[config.type](config);
+    voiceSources.set(config.id, source);
+    source.connect();
+  }
+  broadcastRelayStatus();
+}
+
+/**
+ * Reconnect from scratch, e.g. after a token was fixed
+ * @param {string} [sourceId] Only this source; all of them if omitted
+ */
+export function restartConnection(sourceId) {
+  for (const [id, source] of voiceSources) {
+    if (sourceId && id !== sourceId) continue;
+    voiceSources.delete(id);
+    source.disconnect();
+  }
+  updateConnectionRole();
+}
+
+// ============================================================================
+// BOT PROTOCOL
+// ============================================================================
+
+/**
+ * Protocol versions this module speaks. Version 1 is the original
+ * DUCK/UNDUCK/PING protocol without a handshake; version 3 authenticates
+ * with an AUTH message instead of a token in the URL. Bots older than that
+ * still work with basic ducking, but support for them is deprecated.
+ */
+const PROTOCOL_VERSION = 3;
+const MIN_PROTOCOL_VERSION = 1;
+const AUTH_PROTOCOL_VERSION = 3;
+
+/**
+ * Optional protocol features this module understands, announced in HELLO
+ */
+const MODULE_FEATURES = ["speakers", "level", "errors", "reauth", "latency", "events"];
+
+/**
+ * Structured error codes shared with the bot, sent in ERROR messages
+ */
+const ProtocolError = Object.freeze({
+  AUTH_FAILED: "AUTH_FAILED",
+  TOKEN_EXPIRED: "TOKEN_EXPIRED",
+  INCOMPATIBLE_VERSION: "INCOMPATIBLE_VERSION",
+  BAD_MESSAGE: "BAD_MESSAGE",
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  RATE_LIMITED: "RATE_LIMITED",
+  SERVER_SHUTDOWN: "SERVER_SHUTDOWN",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+});
+
+/**
+ * WebSocket close codes the bot uses, and the error each one means
+ */
+const CLOSE_CODE_ERRORS = {
+  4001: ProtocolError.AUTH_FAILED,
+  4002: ProtocolError.INCOMPATIBLE_VERSION,
+  4003: ProtocolError.BAD_MESSAGE,
+  4004: ProtocolError.RATE_LIMITED,
+  4005: ProtocolError.SERVER_SHUTDOWN,
+  4006: ProtocolError.TOKEN_EXPIRED,
+};
+
+/**
+ * Report a problem to a bot. Legacy bots don't understand ERROR messages.
+ */
+function sendProtocolError(source, code, detail) {
+  if (!source.botInfo || source.botInfo.protocol < 2) return;
+  source.send({ type: "ERROR", code, message: detail });
+}
+
+/**
+ * Open the handshake. Bots that predate it never answer, so after a short
+ * wait we fall back to the original protocol.
+ */
+function sendHello(source) {
+  source.botInfo = null;
+  source.send({
+    type: "HELLO",
+    protocol: PROTOCOL_VERSION,
+    minProtocol: MIN_PROTOCOL_VERSION,
+    moduleVersion: game.modules.get(MODULE_ID).version,
+    foundryVersion: game.version,
+    features: MODULE_FEATURES,
+  });
+
+  source.handshakeTimeout = setTimeout(() => {
+    source.handshakeTimeout = null;
+    source.botInfo = { protocol: 1, version: null, capabilities: new Set() };
+    console.warn(
+      `${MODULE_ID} | 🤝 No WELCOME from ${source.label}, assuming legacy protocol 1`
+    );
+    warnIfBotOutdated(source);
+    source.onOpen();
+  }, HANDSHAKE_TIMEOUT_MS);
+}
+
+function clearHandshake(source) {
+  if (source.handshakeTimeout) {
+    clearTimeout(source.handshakeTimeout);
+    source.handshakeTimeout = null;
+  }
+  source.botInfo = null;
+}
+
+/**
+ * Complete the handshake, checking the bot's protocol range overlaps ours
+ */
+function handleWelcome(source, message) {
+  if (source.handshakeTimeout) {
+    clearTimeout(source.handshakeTimeout);
+    source.handshakeTimeout = null;
+  }
+
+  const botProtocol = Number(message.protocol) || 1;
+  const botMinProtocol = Number(message.minProtocol) || botProtocol;
+  source.botInfo = {
+    protocol: Math.min(botProtocol, PROTOCOL_VERSION),
+    version: message.botVersion ?? null,
+    capabilities: new Set(message.capabilities ?? []),
+  };
+
+  if (botProtocol < MIN_PROTOCOL_VERSION || botMinProtocol > PROTOCOL_VERSION) {
+    sendProtocolError(
+      source,
+      ProtocolError.INCOMPATIBLE_VERSION,
+      `Module speaks protocol ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`
+    );
+    source.drop();
+    reportIncompatibleBot(
+      source,
+      botMinProtocol > PROTOCOL_VERSION ? "module-outdated" : "bot-outdated",
+      message.botVersion
+    );
+    return;
+  }
+
+  const { botInfo } = source;
+  console.log(
+    `${MODULE_ID} | 🤝 Handshake with ${source.label} complete: bot ${
+      botInfo.version ?? "(unknown version)"
+    }, protocol ${botInfo.protocol}, capabilities: ${
+      [...botInfo.capabilities].join(", ") || "none"
+    }`
+  );
+  warnIfBotOutdated(source);
+  if (!source.isConnected) source.onOpen();
+  if (source.hasCapability("latency")) startLatencyProbe(source);
+  if (source.hasCapability("events")) syncBotEvents(source);
+}
+
+/**
+ * Warn once per URL that a bot older than protocol 3 is deprecated. It keeps
+ * working, but only with the features its protocol has.
+ */
+function warnIfBotOutdated(source) {
+  const { protocol } = source.botInfo;
+  if (protocol >= AUTH_PROTOCOL_VERSION || legacyBotWarnings.has(source.url)) return;
+
+  legacyBotWarnings.add(source.url);
+  console.warn(
+    `${MODULE_ID} | ⚠️ ${source.label} speaks deprecated protocol ${protocol}, running in legacy mode`
+  );
+  ui.notifications.warn(
+    game.i18n.format("DISCORD_DUCKER.Notifications.LegacyBot", {
+      label: source.label,
+      protocol,
+    })
+  );
+}
+
+/**
+ * Handle an ERROR message from a bot
+ */
+function handleProtocolError(source, message) {
+  console.error(
+    `${MODULE_ID} | ❌ ${source.label} reported ${message.code ?? "an error"}: ${
+      message.message ?? "(no details)"
+    }`
+  );
+
+  switch (message.code) {
+    case ProtocolError.INCOMPATIBLE_VERSION:
+      source.drop();
+      reportIncompatibleBot(source, "bot-rejected", message.botVersion);
+      break;
+
+    case ProtocolError.TOKEN_EXPIRED:
+    case ProtocolError.AUTH_FAILED:
+      source.drop();
+      source.tokenExpired = message.code === ProtocolError.TOKEN_EXPIRED;
+      source.setState(ConnectionState.AUTH_FAILED);
+      break;
+  }
+}
+
+/**
+ * Tell the user which side needs updating and stop retrying
+ * @param {VoiceSource} source
+ * @param {string} [reason] "module-outdated", "bot-outdated" or a close reason
+ * @param {string} [botVersion]
+ */
+function reportIncompatibleBot(source, reason, botVersion) {
+  const moduleVersion = game.modules.get(MODULE_ID).version;
+  const botLabel = botVersion ? `${source.label} ${botVersion}` : source.label;
+  let advice;
+  switch (reason) {
+    case "module-outdated":
+      advice = "DISCORD_DUCKER.Notifications.UpdateModule";
+      break;
+    case "bot-outdated":
+      advice = "DISCORD_DUCKER.Notifications.UpdateBot";
+      break;
+    default:
+      advice = "DISCORD_DUCKER.Notifications.UpdateBoth";
+  }
+
+  console.error(
+    `${MODULE_ID} | 🚫 Incompatible with ${botLabel} (module ${moduleVersion}, protocol ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`
+  );
+  ui.notifications.error(
+    game.i18n.format("DISCORD_DUCKER.Notifications.Incompatible", {
+      version: moduleVersion,
+      bot: botLabel,
+      advice: game.i18n.localize(advice),
+    }),
+    { permanent: true }
+  );
+  source.setState(ConnectionState.INCOMPATIBLE);
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Check a token before it is sent anywhere
+ * @param {string} token Trimmed token
+ * @param {boolean} required Whether a blank token is a problem
+ * @returns {string|null} What is wrong with it, or null if it is usable
+ */
+function getTokenProblem(token, required) {
+  let problem = null;
+  if (!token) problem = required ? "Missing" : null;
+  else if (/\s/.test(token)) problem = "Whitespace";
+  else if (/[^\x21-\x7e]/.test(token)) problem = "Characters";
+  return problem && game.i18n.localize(`DISCORD_DUCKER.TokenProblem.${problem}`);
+}
+
+function isLocalHost(hostname) {
+  return (
+    hostname === "localhost" ||
+    hostname.endsWith(".localhost") ||
+    hostname === "[::1]" ||
+    hostname.startsWith("127.")
+  );
+}
+
+/**
+ * Warn once per URL when a token would cross the network unencrypted
+ */
+function warnIfTokenUnencrypted(source) {
+  if (!source.token || insecureTokenWarnings.has(source.url)) return;
+
+  let url;
+  try {
+    url = new URL(source.url);
+  } catch {
+    return; // The connection attempt will report the bad URL
+  }
+  if (url.protocol !== "ws:" && url.protocol !== "http:") return;
+  if (isLocalHost(url.hostname)) return;
+
+  insecureTokenWarnings.add(source.url);
+  console.warn(
+    `${MODULE_ID} | 🔓 Token for ${source.label} is sent unencrypted to ${url.host}`
+  );
+  ui.notifications.warn(
+    game.i18n.format("DISCORD_DUCKER.Notifications.TokenUnencrypted", {
+      label: source.label,
+      host: url.host,
+      protocol: url.protocol === "ws:" ? "wss://" : "https://",
+    })
+  );
+}
+
+/**
+ * Copy of a message that is safe to log
+ */
+export function redactToken(message) {
+  return message.token ? { ...message, token: "[redacted]" } : message;
+}
+
+/**
+ * The bot URL with the token as a query parameter, the way bots older than
+ * protocol 3 expect it. Never logged.
+ */
+function getLegacyAuthUrl(url, token) {
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Authenticate over the open socket, on connect or when the bot asks again
+ */
+function sendAuth(source) {
+  clearReauth(source);
+  source.send({ type: "AUTH", token: source.token });
+}
+
+function clearReauth(source) {
+  if (source.reauthTimeout) {
+    clearTimeout(source.reauthTimeout);
+    source.reauthTimeout = null;
+  }
+}
+
+/**
+ * The bot accepted the token. It may hand out a rotated token, and say when
+ * the session expires so we can refresh it in time.
+ */
+function handleAuthOk(source, message) {
+  clearReauth(source);
+  source.authenticated = true;
+
+  const rotatedToken = typeof message.token === "string" ? message.token.trim() : "";
+  if (rotatedToken && rotatedToken !== source.token) {
+    if (getTokenProblem(rotatedToken, true)) {
+      console.warn(`${MODULE_ID} | ⚠️ ${source.label} sent an invalid rotated token`);
+    } else {
+      storeRotatedToken(source, rotatedToken);
+    }
+  }
+
+  const expiresAt = Date.parse(message.expiresAt) || Number(message.expiresAt);
+  if (expiresAt) {
+    const delay = Math.max(expiresAt - Date.now() - REAUTH_MARGIN_MS, 0);
+    source.reauthTimeout = setTimeout(() => sendAuth(source), delay);
+  }
+
+  const debugEnabled = getSetting("debugLogging");
+  if (debugEnabled) {
+    console.log(
+      `${MODULE_ID} | 🔑 Authenticated with ${source.label}${
+        expiresAt ? ` until ${new Date(expiresAt).toLocaleTimeString()}` : ""
+      }`
+    );
+  }
+}
+
+/**
+ * Save a token the bot rotated, without reconnecting: the source already
+ * holds it, so the settings change matches the open connection
+ */
+async function storeRotatedToken(source, token) {
+  source.token = token;
+  if (source.id === PRIMARY_SOURCE_ID) {
+    await game.settings.set(MODULE_ID, "authToken", token);
+  } else {
+    const configs = getSetting("voiceSources").map((config) =>
+      config.id === source.id ? { ...config, token } : config
+    );
+    await game.settings.set(MODULE_ID, "voiceSources", configs);
+  }
+  console.log(`${MODULE_ID} | 🔑 ${source.label} rotated its token`);
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+/**
+ * Handle a message from a voice source, or relayed from one by the GM
+ * @param {object} message
+ * @param {string} sourceId
+ * @param {number|null} [receivedAt] performance.now() when the message
+ *   arrived; null for simulated speech, which isn't timed
+ */
+export function handleMessage(message, sourceId, receivedAt = performance.now()) {
+  const debugEnabled = getSetting("debugLogging");
+  // Relayed messages have no local source to answer
+  const source = voiceSources.get(sourceId);
+
+  if (debugEnabled) {
+    console.log(`${MODULE_ID} | 🎯 Handling message type: ${message.type}`);
+  }
+
+  switch (message.type) {
+    case "DUCK":
+      if (debugEnabled) {
+        console.log(
+          `${MODULE_ID} | 🔉 DUCK command received (${message.speakerCount} speaker(s))`
+        );
+      }
+      handleSpeakerUpdate(message, sourceId, receivedAt);
+      break;
+
+    case "UNDUCK":
+      if (debugEnabled) {
+        console.log(`${MODULE_ID} | 🔊 UNDUCK command received`);
+      }
+      clearVoiceActivity(sourceId);
+      break;
+
+    case "LEVEL": {
+      const activity = sourceActivity.get(sourceId);
+      if (activity) updateSpeechLevel(activity, message);
+      reapplyVoiceDuck(receivedAt);
+      break;
+    }
+
+    case "PING":
+      if (debugEnabled) {
+        console.log(`${MODULE_ID} | 🏓 PING received, sending PONG`);
+      }
+      // Echo the probe so the bot can time the round trip too
+      source?.send({ type: "PONG", id: message.id, sentAt: message.sentAt });
+      break;
+
+    case "PONG":
+      if (source) handleLatencyPong(source, message);
+      break;
+
+    case "WELCOME":
+      if (source) handleWelcome(source, message);
+      break;
+
+    case "AUTH_OK":
+      if (source) handleAuthOk(source, message);
+      break;
+
+    case "REAUTH":
+      if (!source) break;
+      console.log(
+        `${MODULE_ID} | 🔑 ${source.label} asked to re-authenticate${
+          message.reason ? ` (${message.reason})` : ""
+        }`
+      );
+      sendAuth(source);
+      break;
+
+    case "ERROR":
+      if (source) handleProtocolError(source, message);
+      break;
+
+    default:
+      console.warn(`${MODULE_ID} | ⚠️  Unknown message type: ${message.type}`);
+      if (source) {
+        sendProtocolError(
+          source,
+          ProtocolError.UNKNOWN_TYPE,
+          `Unknown message type: ${message.type}`
+        );
+      }
+  }
+}
+
+// ============================================================================
+// VOICE SOURCE CONFIG
+// ============================================================================
+
+/**
+ * Form listing every voice source with its live status, for adding sources
+ * beyond the bot in the main settings
+ */
+export class VoiceSourceConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-voice-sources`,
+    tag: "form",
+    classes: [MODULE_ID],
+    window: {
+      title: "DISCORD_DUCKER.VoiceSources.Title",
+      icon: "fa-solid fa-tower-broadcast",
+      contentClasses: ["standard-form"],
+    },
+    position: { width: 820 },
+    form: {
+      handler: VoiceSourceConfig.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addRow: VoiceSourceConfig.#onAddRow,
+      removeRow: VoiceSourceConfig.#onRemoveRow,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/voice-sources.hbs` },
+    footer: { template: "templates/generic/form-footer.hbs" },
+  };
+
+  /**
+   * Rows being edited, kept across re-renders
+   * @type {Array<{id: string, label: string, type: string, url: string, token: string, enabled: boolean}>}
+   */
+  #rows = getSetting("voiceSources").map((config) => ({ ...config }));
+
+  async _prepareContext(options) {
+    const withStatus = (source) => {
+      const state = voiceSources.get(source.id)?.state ?? ConnectionState.DISABLED;
+      return { ...source, state, stateLabel: getConnectionStateLabel(state) };
+    };
+    const websocketUrl = getSetting("websocketUrl").trim();
+
+    return {
+      primary: websocketUrl
+        ? withStatus({
+            id: PRIMARY_SOURCE_ID,
+            label: game.i18n.localize("DISCORD_DUCKER.SourceType.primary"),
+            typeLabel: game.i18n.localize(SOURCE_TYPE_LABELS[SourceType.WEBSOCKET]),
+            url: websocketUrl,
+          })
+        : null,
+      rows: this.#rows.map(withStatus),
+      types: SOURCE_TYPE_LABELS,
+      relayed:
+        isRelayMode() && !isRelayClient()
+          ? relayedSources.map((source) => ({
+              ...source,
+              typeLabel: game.i18n.localize(SOURCE_TYPE_LABELS[source.type] ?? source.type),
+              stateLabel: getConnectionStateLabel(source.state),
+            }))
+          : null,
+      buttons: [
+        {
+          type: "submit",
+          icon: "fa-solid fa-save",
+          label: "DISCORD_DUCKER.Common.Save",
+        },
+      ],
+    };
+  }
+
+  /**
+   * Pull unsaved edits out of the form before re-rendering
+   */
+  #readRows() {
+    const data = new foundry.applications.ux.FormDataExtended(this.element);
+    const { rows = {} } = foundry.utils.expandObject(data.object);
+    this.#rows = Object.values(rows).map((row) => ({
+      id: row.id || foundry.utils.randomID(),
+      label: row.label?.trim() ?? "",
+      type: row.type,
+      url: row.url?.trim() ?? "",
+      token: row.token?.trim() ?? "",
+      enabled: Boolean(row.enabled),
+    }));
+  }
+
+  static #onAddRow() {
+    this.#readRows();
+    this.#rows.push({
+      id: foundry.utils.randomID(),
+      label: "",
+      type: SourceType.WEBSOCKET,
+      url: "",
+      token: "",
+      enabled: true,
+    });
+    this.render();
+  }
+
+  static #onRemoveRow(event, target) {
+    this.#readRows();
+    this.#rows.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onSubmit(event, form, formData) {
+    this.#readRows();
+    await game.settings.set(
+      MODULE_ID,
+      "voiceSources",
+      this.#rows.filter((row) => row.url)
+    );
+  }
+}
+
+/**
+ * Update any status shown for a source without re-rendering over unsaved edits
+ */
+export function refreshSourceStatus(sourceId, state) {
+  const selector = `.ducker-source-status[data-source-id="${sourceId}"]`;
+  for (const element of document.querySelectorAll(selector)) {
+    element.dataset.state = state;
+    element.textContent = getConnectionStateLabel(state);
+  }
+}
+
+Hooks.on("discordDucker.connectionChange", (state, previous, sourceId) => {
+  refreshSourceStatus(sourceId, state);
+});
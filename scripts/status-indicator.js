@@ -0,0 +1,266 @@
+/**
+ * foundry-discord-ducker Status Indicator
+ *
+ * Status element with quick controls near the players list or playlists, and
+ * the roster of every client's status for the GM.
+ *
+ * @module foundry-discord-ducker/status-indicator
+ */
+
+import { MODULE_ID } from "./constants.js";
+import {
+  getSetting,
+  isDucked,
+  duckLevels,
+  musicMuted,
+  suspendedUntil,
+  SOCKET_NAME,
+  isRelayMode,
+  isRelayClient,
+  getRelayProblem,
+  usesDiscordSource,
+  getVoiceSpeakers,
+  getVoiceSpeakerCount,
+  setMusicMuted,
+  suspendAutoDucking,
+  resumeAutoDucking,
+} from "./foundry-discord-ducker.js";
+import {
+  ConnectionState,
+  getConnectionStateLabel,
+  getStatusSources,
+  getConnectionState,
+  restartConnection,
+} from "./sources.js";
+import { CalibrationApp } from "./calibration.js";
+import { DiagnosticsApp } from "./diagnostics.js";
+
+// ============================================================================
+// STATE
+// ============================================================================
+let statusIndicator = null; // Status element near the players list or playlists
+let statusExpanded = false; // Whether the indicator's panel is open
+let lastReportedStatus = null; // Status last sent to the GM's roster
+const clientStatuses = new Map(); // User ID -> status reported by that client, for the GM
+
+// ============================================================================
+// STATUS INDICATOR
+// ============================================================================
+
+/**
+ * Put the indicator where the setting says, creating it on first use
+ */
+export function placeStatusIndicator() {
+  const placement = getSetting("statusIndicator");
+  if (placement === "off") {
+    statusIndicator?.remove();
+    return;
+  }
+
+  const anchor =
+    placement === "playlists" ? ui.playlists?.element : ui.players?.element;
+  if (!anchor) return;
+
+  if (!statusIndicator) {
+    statusIndicator = document.createElement("aside");
+    statusIndicator.id = `${MODULE_ID}-status`;
+    statusIndicator.classList.add(MODULE_ID);
+    statusIndicator.addEventListener("click", onStatusIndicatorClick);
+    statusIndicator.addEventListener("change", onStatusIndicatorChange);
+  }
+  if (placement === "playlists") anchor.prepend(statusIndicator);
+  else anchor.before(statusIndicator);
+  refreshStatusIndicator();
+}
+
+/**
+ * This client's connection and duck state, as reported to the GM's roster
+ */
+function getClientStatus() {
+  return {
+    connection: usesDiscordSource() ? getConnectionState() : "foundry-av",
+    enabled: getSetting("enableDucking"),
+    ducked: isDucked,
+    reductionPercent: Math.round((1 - Math.min(...Object.values(duckLevels))) * 100),
+    speakerCount: getVoiceSpeakerCount(),
+    suspended: Boolean(suspendedUntil),
+    muted: musicMuted,
+  };
+}
+
+async function renderStatusIndicator() {
+  // Players report in whether or not they show the indicator themselves
+  reportClientStatus();
+  if (!statusIndicator?.isConnected) return;
+
+  const status = getClientStatus();
+  const avOnly = status.connection === "foundry-av";
+  const speakers = getVoiceSpeakers().map((speaker) => speaker.name);
+  const unnamed = status.speakerCount - speakers.length;
+  if (unnamed > 0) {
+    speakers.push(game.i18n.format("DISCORD_DUCKER.Chat.Status.Others", { count: unnamed }));
+  }
+
+  const relayProblem = getRelayProblem();
+  const context = {
+    state: avOnly ? ConnectionState.OPEN : status.connection,
+    relayProblem:
+      relayProblem && game.i18n.localize(`DISCORD_DUCKER.Status.Relay${relayProblem}`),
+    stateLabel: avOnly
+      ? game.i18n.localize("DISCORD_DUCKER.FoundryAv")
+      : getConnectionStateLabel(status.connection),
+    ducked: status.ducked,
+    reductionPercent: status.reductionPercent,
+    speakers: speakers.join(", "),
+    suspendedUntil: suspendedUntil && new Date(suspendedUntil).toLocaleTimeString(),
+    muted: musicMuted,
+    expanded: statusExpanded,
+    canReconnect: !avOnly && !(isRelayMode() && !isRelayClient()),
+    sources: getStatusSources().map((source) => ({
+      ...source,
+      stateLabel: getConnectionStateLabel(source.state),
+    })),
+    enableDucking: status.enabled,
+    duckReductionPercent: getSetting("duckReductionPercent"),
+    reductionRange: game.settings.settings.get(`${MODULE_ID}.duckReductionPercent`).range,
+    roster: game.user.isGM ? getRoster() : null,
+  };
+  statusIndicator.innerHTML = await foundry.applications.handlebars.renderTemplate(
+    `modules/${MODULE_ID}/templates/status-indicator.hbs`,
+    context
+  );
+}
+
+export const refreshStatusIndicator = foundry.utils.debounce(renderStatusIndicator, 100);
+
+function onStatusIndicatorClick(event) {
+  const target = event.target.closest("[data-action]");
+  switch (target?.dataset.action) {
+    case "toggle":
+      statusExpanded = !statusExpanded;
+      refreshStatusIndicator();
+      break;
+    case "reconnect":
+      restartConnection();
+      break;
+    case "suspend":
+      if (suspendedUntil) resumeAutoDucking();
+      else suspendAutoDucking();
+      break;
+    case "mute":
+      setMusicMuted(!musicMuted);
+      break;
+    case "settings":
+      game.settings.sheet.render(true);
+      break;
+    case "calibrate":
+      (
+        foundry.applications.instances.get(`${MODULE_ID}-calibration`) ??
+        new CalibrationApp()
+      ).render(true);
+      break;
+    case "diagnostics":
+      (
+        foundry.applications.instances.get(`${MODULE_ID}-diagnostics`) ??
+        new DiagnosticsApp()
+      ).render(true);
+      break;
+  }
+}
+
+/**
+ * Quick settings in the expanded panel save as soon as they change
+ */
+async function onStatusIndicatorChange(event) {
+  const input = event.target.closest("[data-setting]");
+  if (!input) return;
+  const { setting } = input.dataset;
+  const value = input.type === "checkbox" ? input.checked : Number(input.value);
+  try {
+    await game.settings.set(MODULE_ID, setting, value);
+  } catch (error) {
+    console.error(`${MODULE_ID} | ❌ Failed to save ${setting}:`, error);
+    refreshStatusIndicator(); // Put the control back to the saved value
+  }
+}
+
+/**
+ * Tell the GM about this client's status, when it changed
+ * @param {boolean} [force] Send even if nothing changed
+ */
+function reportClientStatus(force = false) {
+  const status = getClientStatus();
+  if (!force && foundry.utils.objectsEqual(status, lastReportedStatus ?? {})) return;
+  lastReportedStatus = status;
+  game.socket.emit(SOCKET_NAME, {
+    action: "clientStatus",
+    status,
+  });
+}
+
+/**
+ * Roster entry for every other connected user, for the GM's panel
+ */
+function getRoster() {
+  return game.users
+    .filter((user) => user.active && !user.isSelf)
+    .map((user) => {
+      const status = clientStatuses.get(user.id);
+      const avOnly = status?.connection === "foundry-av";
+      return {
+        name: user.name,
+        known: Boolean(status),
+        state: avOnly ? ConnectionState.OPEN : status?.connection,
+        stateLabel: avOnly
+          ? game.i18n.localize("DISCORD_DUCKER.FoundryAv")
+          : getConnectionStateLabel(status?.connection),
+        ...status,
+      };
+    });
+}
+
+/**
+ * Status reports for the GM's roster
+ */
+export function onRosterMessage(data, senderId) {
+  switch (data.action) {
+    case "clientStatus":
+      if (!game.user.isGM || !game.users.has(senderId)) return;
+      clientStatuses.set(senderId, data.status);
+      refreshStatusIndicator();
+      break;
+
+    case "requestStatus":
+      reportClientStatus(true);
+      break;
+  }
+}
+
+Hooks.once("ready", () => {
+  placeStatusIndicator();
+  // Fill the roster with players who were here before this GM
+  if (game.user.isGM) {
+    game.socket.emit(SOCKET_NAME, { action: "requestStatus" });
+  }
+});
+
+Hooks.on("renderPlayers", () => {
+  if (getSetting("statusIndicator") === "players") placeStatusIndicator();
+});
+
+Hooks.on("renderPlaylistDirectory", () => {
+  if (getSetting("statusIndicator") === "playlists") placeStatusIndicator();
+});
+
+Hooks.on("userConnected", (user, connected) => {
+  if (!connected) clientStatuses.delete(user.id);
+  refreshStatusIndicator();
+});
+
+Hooks.on("clientSettingChanged", (key) => {
+  if (key.startsWith(`${MODULE_ID}.`)) refreshStatusIndicator();
+});
+
+Hooks.on("discordDucker.connectionChange", () => refreshStatusIndicator());
+Hooks.on("discordDucker.duck", () => refreshStatusIndicator());
+Hooks.on("discordDucker.unduck", () => refreshStatusIndicator());